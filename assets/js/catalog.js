@@ -0,0 +1,81 @@
+// ==========================================================================
+// PROJECT CARDS
+// ==========================================================================
+// The project grid's markup and strings, built from the catalog in
+// assets/data/projects.json. features/project-catalog.js uses them in the
+// browser and scripts/prerender.mjs writes the same cards into the static
+// pages, so this module works with plain strings and never touches the
+// DOM.
+// ==========================================================================
+
+import { escapeHtml } from "./i18n.js";
+import { placeholderFor, srcsetFor } from "./imagekit.js";
+
+// How wide a card is at each breakpoint of .projects-grid (components.css)
+// inside the 90%-wide, at most 1200px .container
+const THUMBNAIL_SIZES =
+  "(min-width: 1280px) 300px, (min-width: 1024px) 30vw, (min-width: 640px) 45vw, 90vw";
+
+/**
+ * project.<id>.title / .desc / .aria / .alt / .tags for every language
+ * the catalog has text in (tags as one comma-separated string), as
+ * { lang: entries } for addTranslations(). A project without a given
+ * language simply has no entries for it, and i18n.js falls back to the
+ * next language in line.
+ */
+export function projectTranslations(projects) {
+  const byLang = {};
+  projects.forEach((project) => {
+    Object.entries(project.i18n).forEach(([lang, text]) => {
+      const entries = (byLang[lang] ||= {});
+      const key = `project.${project.id}`;
+      entries[`${key}.title`] = text.title;
+      entries[`${key}.desc`] = text.description;
+      entries[`${key}.aria`] = `${text.title}, ${text.description}`;
+      if (text.alt) entries[`${key}.alt`] = text.alt;
+      entries[`${key}.tags`] = (text.tags || []).join(", ");
+    });
+  });
+  return byLang;
+}
+
+/**
+ * One <article class="project-card"> for a catalog entry: the flip-card
+ * markup the lightbox, filters and stagger reveal work with. The text is
+ * left to applyTranslations() (or the prerender) via the data-i18n keys.
+ */
+export function projectCardHtml(project) {
+  const key = `project.${project.id}`;
+  const attr = (value) => escapeHtml(String(value));
+
+  // Let the browser pick a width for the screen, from the same ImageKit
+  // image at other sizes
+  const srcset = srcsetFor(project.thumbnail);
+  const sizing = srcset
+    ? ` srcset="${attr(srcset)}" sizes="${attr(THUMBNAIL_SIZES)}"`
+    : "";
+
+  // Blur-up: a tiny copy fills the card until the thumbnail arrives
+  const placeholder = placeholderFor(project.thumbnail);
+  const front = placeholder
+    ? `<div class="card-front blur-up" style="${attr(`--placeholder: url("${placeholder}")`)}">`
+    : `<div class="card-front">`;
+
+  return `<article class="project-card" data-category="${attr(project.category)}" data-project="${attr(project.id)}" data-year="${attr(project.year)}" data-medium="${attr(project.medium)}">
+  <div class="project-image">
+    <div class="card" role="button" tabindex="0" data-i18n-aria="${attr(key)}.aria">
+      <div class="card-inner">
+        ${front}
+          <img src="${attr(project.thumbnail)}"${sizing} data-full="${attr(project.full)}" alt="" data-i18n-alt="${attr(key)}.alt" loading="lazy" crossorigin="anonymous" />
+        </div>
+        <div class="card-back">
+          <div class="card-back-content">
+            <h3 data-i18n="${attr(key)}.title"></h3>
+            <p data-i18n="${attr(key)}.desc"></p>
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+</article>`;
+}
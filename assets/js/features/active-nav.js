@@ -0,0 +1,177 @@
+// ==========================================================================
+// ACTIVE NAVIGATION STATE
+// ==========================================================================
+
+import { defineFeature, get } from "../registry.js";
+
+// Report every 1% change in how much of a section is showing, so the
+// most-visible section (and the reading progress) stay current without
+// listening to scroll events.
+const THRESHOLDS = Array.from({ length: 101 }, (_, i) => i / 100);
+
+/**
+ * Scroll-spy: highlight the nav link of the section taking up most of the
+ * screen, keep the URL hash on that section (with replaceState, so no
+ * history entries) and fill the .nav-progress bar, if the page has one.
+ *
+ * Each section's visible height comes from an IntersectionObserver; two
+ * empty markers at the start and end of the page tell when the visitor
+ * is at the very top or bottom, where the first or last section wins
+ * even if a neighbour shows more. A section without a nav link (e.g.
+ * #stay-connected) still counts: it just leaves no link highlighted.
+ */
+function initActiveNav(root, options, signal) {
+  const sections = Array.from(root.querySelectorAll("section[id]"));
+  const navLinks = root.querySelectorAll(".nav-links a");
+  const progressBar = root.querySelector(".nav-progress");
+  if (!sections.length) return;
+
+  const container = root === document ? document.body : root;
+  const startMarker = document.createElement("div");
+  const endMarker = document.createElement("div");
+  startMarker.setAttribute("aria-hidden", "true");
+  endMarker.setAttribute("aria-hidden", "true");
+  container.prepend(startMarker);
+  container.append(endMarker);
+
+  if (progressBar) progressBar.hidden = false;
+
+  const visibleHeight = new Map();
+  let atTop = false;
+  let atBottom = false;
+  let current = null;
+
+  function mostVisibleSection() {
+    if (atBottom) return sections[sections.length - 1];
+    if (atTop) return sections[0];
+
+    let best = null;
+    let bestHeight = 0;
+    sections.forEach((section) => {
+      const height = visibleHeight.get(section) || 0;
+      if (height > bestHeight) {
+        best = section;
+        bestHeight = height;
+      }
+    });
+    return best;
+  }
+
+  // null clears every link
+  function highlight(id) {
+    // Update all nav links: add .active to matching, remove from others
+    navLinks.forEach((link) => {
+      if (link.getAttribute("href") === `#${id}`) {
+        link.classList.add("active");
+        link.setAttribute("aria-current", "true");
+      } else {
+        link.classList.remove("active");
+        link.removeAttribute("aria-current");
+      }
+    });
+  }
+
+  /**
+   * Point the URL at `section` so a reload lands there. The first section
+   * is the top of the page and gets no hash at all. A hash that already
+   * names the section is kept as it is, along with whatever follows it
+   * (#services/illustration). #projects comes from the deep-link feature
+   * instead, so it carries the active filters (#projects?filter=...).
+   */
+  function syncHash(section) {
+    let hash = section === sections[0] ? "" : `#${section.id}`;
+    const deepLinks = section.id === "projects" && get("projectDeepLinks");
+    if (deepLinks) {
+      hash = deepLinks.hash();
+      if (location.hash === hash) return;
+    } else if (location.hash.split(/[?/]/)[0] === hash) {
+      return;
+    }
+    history.replaceState(
+      history.state,
+      "",
+      hash || location.pathname + location.search
+    );
+  }
+
+  function updateProgress() {
+    if (!progressBar) return;
+    const scrollable =
+      document.documentElement.scrollHeight - window.innerHeight;
+    let progress = scrollable > 0 ? window.scrollY / scrollable : 1;
+    if (atTop) progress = 0;
+    if (atBottom) progress = 1;
+    progressBar.style.setProperty(
+      "--progress",
+      Math.min(1, Math.max(0, progress)).toFixed(3)
+    );
+  }
+
+  // The first report of each observer only describes where the page
+  // loaded; the hash is left alone until the visitor actually scrolls, so
+  // links such as #services/illustration or #projects?item=... are still
+  // there for the features that read them.
+  const reported = new WeakSet();
+  function update(observer) {
+    const initial = !reported.has(observer);
+    reported.add(observer);
+
+    updateProgress();
+    const section = mostVisibleSection();
+    if (!section || section === current) return;
+    current = section;
+    highlight(section.id);
+    if (!initial) syncHash(section);
+  }
+
+  // The area under the fixed nav isn't really on screen
+  const navHeight = root.querySelector(".nav")?.offsetHeight || 0;
+  const sectionObserver = new IntersectionObserver(
+    (entries, observer) => {
+      entries.forEach((entry) => {
+        visibleHeight.set(
+          entry.target,
+          entry.isIntersecting ? entry.intersectionRect.height : 0
+        );
+      });
+      update(observer);
+    },
+    {
+      root: null,
+      rootMargin: `-${navHeight}px 0px 0px 0px`,
+      threshold: THRESHOLDS,
+    }
+  );
+
+  // A couple of pixels of slack so fractional scroll positions still
+  // count as the very top or bottom
+  const edgeObserver = new IntersectionObserver(
+    (entries, observer) => {
+      entries.forEach((entry) => {
+        if (entry.target === startMarker) atTop = entry.isIntersecting;
+        if (entry.target === endMarker) atBottom = entry.isIntersecting;
+      });
+      update(observer);
+    },
+    { root: null, rootMargin: "2px 0px", threshold: 0 }
+  );
+
+  // Observe all sections with IDs
+  sections.forEach((section) => sectionObserver.observe(section));
+  edgeObserver.observe(startMarker);
+  edgeObserver.observe(endMarker);
+
+  signal.addEventListener("abort", () => {
+    sectionObserver.disconnect();
+    edgeObserver.disconnect();
+    startMarker.remove();
+    endMarker.remove();
+    highlight(null);
+    if (progressBar) {
+      progressBar.hidden = true;
+      progressBar.style.removeProperty("--progress");
+    }
+  });
+}
+
+export const { init, destroy } = defineFeature(initActiveNav);
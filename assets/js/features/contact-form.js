@@ -0,0 +1,335 @@
+// ==========================================================================
+// CONTACT FORM
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+import { t } from "../i18n.js";
+
+/**
+ * Progressive enhancement for .contact-form. Without JavaScript it still
+ * POSTs natively to its action; with it, the form is validated inline and
+ * sent with fetch so visitors stay on the page. Error and status messages
+ * carry data-i18n keys, so switching language re-translates them too.
+ *
+ * The hidden _gotcha field is a honeypot: people never see it, bots tend
+ * to fill it in, and anything that does is quietly dropped.
+ *
+ * What the visitor types is autosaved to localStorage (next to the
+ * portfolioLang preference) and restored on their next visit, until the
+ * message is sent. Query parameters prefill the form for prepared
+ * contact links: ?subject=…&message=… (also ?name= and ?email=).
+ *
+ * Messages written while the browser reports being offline are queued in
+ * localStorage instead and sent when the connection is back, or on the
+ * next visit. Any other failure (a wrong endpoint, a blocked request)
+ * shows the error message, so the visitor knows it wasn't sent.
+ *
+ * A successful send dispatches "contact:sent" on document, and so does
+ * queueing a message (detail: { queued: true }): either way the visitor
+ * is done with it.
+ *
+ * options.endpoint overrides where the form is sent (by default, its own
+ * action). destroy() saves any pending draft and hands the form back to
+ * the browser's own validation and submission.
+ */
+const CONTACT_DRAFT_KEY = "portfolioContactDraft";
+const CONTACT_DRAFT_DELAY = 300; // ms of typing pause before saving
+const CONTACT_QUEUE_KEY = "portfolioContactQueue";
+const CONTACT_QUEUE_ATTEMPTS = 5; // tries before a queued message is dropped
+
+function initContactForm(root, { endpoint: customEndpoint = null } = {}, signal) {
+  const form = root.querySelector(".contact-form");
+  if (!form) return;
+
+  const endpoint = customEndpoint || form.action;
+  const honeypot = form.querySelector('[name="_gotcha"]');
+  const submitBtn = form.querySelector('[type="submit"]');
+  const fields = Array.from(
+    form.querySelectorAll("input[name], textarea[name]")
+  ).filter((field) => field !== honeypot && field.type !== "hidden");
+
+  // We show our own messages instead of the browser's tooltips.
+  form.noValidate = true;
+
+  restoreDraft();
+  prefillFromUrl();
+
+  let draftTimer = null;
+  form.addEventListener(
+    "input",
+    (e) => {
+      if (e.target === honeypot) return;
+      clearTimeout(draftTimer);
+      draftTimer = setTimeout(saveDraft, CONTACT_DRAFT_DELAY);
+    },
+    { signal }
+  );
+
+  const errors = new Map();
+  fields.forEach((field) => {
+    const error = document.createElement("div");
+    error.className = "field-error";
+    error.id = `contact-${field.name}-error`;
+    error.hidden = true;
+    field.insertAdjacentElement("afterend", error);
+    field.setAttribute("aria-describedby", error.id);
+    errors.set(field, error);
+
+    field.addEventListener(
+      "blur",
+      () => {
+        if (field.value) validateField(field);
+      },
+      { signal }
+    );
+    field.addEventListener(
+      "input",
+      () => {
+        if (field.getAttribute("aria-invalid") === "true") validateField(field);
+      },
+      { signal }
+    );
+  });
+
+  const status = document.createElement("div");
+  status.className = "form-status";
+  status.setAttribute("role", "status");
+  status.setAttribute("aria-live", "polite");
+  form.appendChild(status);
+
+  signal.addEventListener("abort", () => {
+    clearTimeout(draftTimer);
+    saveDraft();
+    errors.forEach((error, field) => {
+      error.remove();
+      field.removeAttribute("aria-describedby");
+      field.removeAttribute("aria-invalid");
+    });
+    status.remove();
+    form.noValidate = false;
+  });
+
+  function readDraft() {
+    try {
+      return JSON.parse(localStorage.getItem(CONTACT_DRAFT_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  function saveDraft() {
+    const draft = {};
+    fields.forEach((field) => {
+      if (field.value) draft[field.name] = field.value;
+    });
+    const subject = form.querySelector('[name="_subject"]');
+    if (subject && subject.value) draft._subject = subject.value;
+
+    if (Object.keys(draft).length) {
+      localStorage.setItem(CONTACT_DRAFT_KEY, JSON.stringify(draft));
+    } else {
+      localStorage.removeItem(CONTACT_DRAFT_KEY);
+    }
+  }
+
+  function clearDraft() {
+    clearTimeout(draftTimer);
+    localStorage.removeItem(CONTACT_DRAFT_KEY);
+  }
+
+  // Formspree uses _subject as the subject line of the email it sends.
+  function setSubject(value) {
+    let subject = form.querySelector('[name="_subject"]');
+    if (!subject) {
+      subject = document.createElement("input");
+      subject.type = "hidden";
+      subject.name = "_subject";
+      form.appendChild(subject);
+    }
+    subject.value = value;
+  }
+
+  /**
+   * Empty the form once its message is dealt with. reset() leaves hidden
+   * inputs alone (their value is their attribute), so _subject is removed
+   * too, or the next message would go out under the old subject.
+   */
+  function clearForm() {
+    form.reset();
+    form.querySelector('[name="_subject"]')?.remove();
+    clearDraft();
+  }
+
+  function restoreDraft() {
+    const draft = readDraft();
+    fields.forEach((field) => {
+      if (!field.value && draft[field.name]) field.value = draft[field.name];
+    });
+    if (draft._subject) setSubject(draft._subject);
+  }
+
+  // A prepared link is more deliberate than an old draft, so it wins.
+  function prefillFromUrl() {
+    const params = new URLSearchParams(location.search);
+    fields.forEach((field) => {
+      if (params.has(field.name)) field.value = params.get(field.name);
+    });
+    if (params.has("subject")) setSubject(params.get("subject"));
+  }
+
+  function readQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(CONTACT_QUEUE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  function writeQueue(queue) {
+    if (queue.length) {
+      localStorage.setItem(CONTACT_QUEUE_KEY, JSON.stringify(queue));
+    } else {
+      localStorage.removeItem(CONTACT_QUEUE_KEY);
+    }
+  }
+
+  // FormData can't be stored, so the fields are kept as [name, value]
+  // pairs (there are no file inputs)
+  function queueSubmission(body) {
+    writeQueue([...readQueue(), { endpoint, fields: Array.from(body) }]);
+  }
+
+  function send(url, body) {
+    return fetch(url, {
+      method: "POST",
+      body,
+      headers: { Accept: "application/json" },
+    });
+  }
+
+  // Send queued messages oldest first, stopping at the first one that
+  // still can't get through. One the server turns down is dropped, as
+  // sending it again wouldn't change the answer, and so is one that has
+  // failed CONTACT_QUEUE_ATTEMPTS times (its endpoint may well be wrong).
+  let flushing = false;
+  async function flushQueue() {
+    if (flushing || !navigator.onLine || !readQueue().length) return;
+    flushing = true;
+    let sent = 0;
+    try {
+      for (let queue = readQueue(); queue.length; queue = readQueue()) {
+        const body = new FormData();
+        queue[0].fields.forEach(([name, value]) => body.append(name, value));
+        try {
+          const response = await send(queue[0].endpoint, body);
+          if (response.ok) sent++;
+          else console.error(`Dropped a queued message: HTTP ${response.status}`);
+        } catch {
+          const attempts = (queue[0].attempts || 0) + 1;
+          if (attempts < CONTACT_QUEUE_ATTEMPTS) {
+            writeQueue([{ ...queue[0], attempts }, ...readQueue().slice(1)]);
+            break;
+          }
+          console.error("Dropped a queued message: it could not be sent");
+        }
+        writeQueue(readQueue().slice(1));
+      }
+    } finally {
+      flushing = false;
+    }
+    if (sent && !signal.aborted) showStatus("queuedSent");
+  }
+
+  function setMessage(el, key) {
+    el.setAttribute("data-i18n", key);
+    el.textContent = t(key);
+  }
+
+  function errorKeyFor(field) {
+    if (field.validity.valueMissing) return "contact.error.required";
+    if (field.validity.typeMismatch) return "contact.error.email";
+    return "contact.error.invalid";
+  }
+
+  function validateField(field) {
+    const error = errors.get(field);
+    const valid = field.checkValidity();
+
+    if (valid) {
+      field.removeAttribute("aria-invalid");
+      error.hidden = true;
+      error.removeAttribute("data-i18n");
+      error.textContent = "";
+    } else {
+      field.setAttribute("aria-invalid", "true");
+      setMessage(error, errorKeyFor(field));
+      error.hidden = false;
+    }
+    return valid;
+  }
+
+  function showStatus(state) {
+    status.dataset.state = state;
+    setMessage(status, `contact.status.${state}`);
+  }
+
+  function setBusy(busy) {
+    form.setAttribute("aria-busy", String(busy));
+    if (submitBtn) submitBtn.disabled = busy;
+  }
+
+  form.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+
+      const invalid = fields.filter((field) => !validateField(field));
+      if (invalid.length) {
+        invalid[0].focus();
+        return;
+      }
+
+      if (honeypot && honeypot.value) {
+        clearForm();
+        showStatus("success");
+        return;
+      }
+
+      const body = new FormData(form);
+
+      if (!navigator.onLine) {
+        // Keep the message and send it once the connection is back
+        queueSubmission(body);
+        clearForm();
+        showStatus("queued");
+        document.dispatchEvent(
+          new CustomEvent("contact:sent", { detail: { queued: true } })
+        );
+        return;
+      }
+
+      setBusy(true);
+      showStatus("sending");
+
+      try {
+        const response = await send(endpoint, body);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        clearForm();
+        showStatus("success");
+        document.dispatchEvent(new CustomEvent("contact:sent"));
+      } catch (err) {
+        console.error("Contact form submission failed:", err);
+        showStatus("error");
+      } finally {
+        setBusy(false);
+      }
+    },
+    { signal }
+  );
+
+  window.addEventListener("online", flushQueue, { signal });
+  flushQueue();
+}
+
+export const { init, destroy } = defineFeature(initContactForm);
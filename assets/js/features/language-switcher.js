@@ -0,0 +1,157 @@
+// ==========================================================================
+// LANGUAGE SWITCHER
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+import {
+  LANG_STORAGE_KEY,
+  loadRegistry,
+  negotiateLanguage,
+  setLanguage,
+  staticLanguages,
+  staticPageUrl,
+} from "../i18n.js";
+
+/**
+ * Fill the dropdown with one .lang-option per registered language: a
+ * link to its prerendered page if it has one, otherwise a button that
+ * switches this page in place.
+ */
+function buildLanguageMenu(dropdown, locales, onSelect, signal) {
+  const pages = staticLanguages();
+
+  dropdown.replaceChildren(
+    ...locales.map(({ code, label }) => {
+      const item = document.createElement("li");
+      const option = document.createElement(pages.has(code) ? "a" : "button");
+      option.className = "lang-option";
+      option.dataset.lang = code;
+      option.lang = code;
+      option.textContent = label;
+
+      if (pages.has(code)) {
+        option.href = staticPageUrl(code).href;
+        option.hreflang = code;
+        option.addEventListener(
+          "click",
+          (e) => {
+            const url = staticPageUrl(code);
+            if (url.pathname === location.pathname.replace(/index\.html$/, "")) {
+              // Already on that page (e.g. index.html showing another
+              // language): switch in place instead of reloading.
+              e.preventDefault();
+              onSelect(code);
+              return;
+            }
+            // Saved so index.html doesn't negotiate a different language
+            // when the visitor comes back to it.
+            localStorage.setItem(LANG_STORAGE_KEY, code);
+            option.href = url.href;
+          },
+          { signal }
+        );
+      } else {
+        option.type = "button";
+        option.addEventListener("click", () => onSelect(code), { signal });
+      }
+
+      item.appendChild(option);
+      return item;
+    })
+  );
+}
+
+/**
+ * The language menu in the nav (#langToggleBtn / #langDropdown), built
+ * from the locale registry, and the language the page starts in (see
+ * negotiateLanguage() in i18n.js).
+ *
+ * The locale files load in the background: init() returns right away,
+ * so the features mounted after it don't wait for them, and the page is
+ * translated (firing "i18n:change") whenever they arrive.
+ */
+function initLanguageSwitcher(root, options, signal) {
+  const toggleBtn = root.querySelector("#langToggleBtn");
+  const dropdown = root.querySelector("#langDropdown");
+  if (!toggleBtn || !dropdown) return;
+
+  function closeDropdown() {
+    dropdown.classList.remove("open");
+    toggleBtn.setAttribute("aria-expanded", "false");
+  }
+
+  function openDropdown() {
+    dropdown.classList.add("open");
+    toggleBtn.setAttribute("aria-expanded", "true");
+  }
+
+  toggleBtn.addEventListener(
+    "click",
+    () => {
+      dropdown.classList.contains("open") ? closeDropdown() : openDropdown();
+    },
+    { signal }
+  );
+
+  // Any click outside the switcher (including on the theme switcher's
+  // toggle) closes the menu.
+  document.addEventListener(
+    "click",
+    (e) => {
+      if (!dropdown.contains(e.target) && !toggleBtn.contains(e.target)) {
+        closeDropdown();
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.key === "Escape") closeDropdown();
+    },
+    { signal }
+  );
+
+  signal.addEventListener("abort", () => {
+    closeDropdown();
+    dropdown.replaceChildren();
+  });
+
+  loadRegistry().then(
+    (registry) => {
+      if (signal.aborted) return;
+
+      buildLanguageMenu(
+        dropdown,
+        registry.locales,
+        (code) => {
+          setLanguage(code).catch((err) =>
+            console.error(`Could not switch to "${code}":`, err)
+          );
+          closeDropdown();
+        },
+        signal
+      );
+
+      // Only rewrite the URL on load if it already named a language (e.g.
+      // to normalize ?lang=ES or an unavailable one); a plain visit stays
+      // plain.
+      const hasLangParam = new URLSearchParams(location.search).has("lang");
+      const lang = negotiateLanguage();
+      setLanguage(lang, { updateUrl: hasLangParam }).catch((err) => {
+        // The page hasn't been translated yet: settle for the default
+        console.error(`Could not load "${lang}":`, err);
+        if (lang !== registry.default) {
+          setLanguage(registry.default, { updateUrl: hasLangParam }).catch(
+            (fallbackErr) =>
+              console.error("Could not load any language:", fallbackErr)
+          );
+        }
+      });
+    },
+    (err) => console.error("Could not load the locale registry:", err)
+  );
+}
+
+export const { init, destroy } = defineFeature(initLanguageSwitcher);
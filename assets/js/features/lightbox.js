@@ -0,0 +1,690 @@
+// ==========================================================================
+// CARD LIGHTBOX MODAL
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+import { applyTranslations, t } from "../i18n.js";
+import { placeholderFor, sizedFor, withTransforms } from "../imagekit.js";
+
+// Widest image the lightbox asks ImageKit for, however big the screen
+const MAX_IMAGE_WIDTH = 2400;
+
+// Zooming in swaps in a bigger copy, up to this wide (never upscaled
+// past the original, thanks to c-at_max)
+const ZOOM_IMAGE_WIDTH = 4000;
+const MAX_ZOOM = 8;
+// Used for double-click/tap until the big copy says what 1:1 is
+const DEFAULT_ZOOM = 2.5;
+// Two taps this close together (ms, px) make a double tap
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+
+/**
+ * An <img> for loading ImageKit files in the background. Like every
+ * project image it's requested with CORS, which ImageKit allows, so sw.js
+ * can see whether the response is good before caching it.
+ */
+function corsImage() {
+  const img = new Image();
+  img.crossOrigin = "anonymous";
+  return img;
+}
+
+/**
+ * Lightbox modal for viewing card images
+ * Opens on click, closes on overlay click or Escape key.
+ * Prev/next buttons, ArrowLeft/ArrowRight and horizontal swipes walk
+ * through the cards currently visible under the active project filter,
+ * wrapping around at either end.
+ *
+ * While open it behaves as a modal dialog: Tab cycles through its own
+ * controls, everything else on the page is made inert, the page stops
+ * scrolling, and closing returns focus to the card that opened it.
+ *
+ * Images are requested at the width the screen needs (see imagekit.js).
+ * Until one arrives, the card's thumbnail (or a tiny placeholder) stands
+ * in for it, blurred, at the same size; the images either side of it in
+ * the gallery are fetched ahead so stepping through doesn't wait.
+ *
+ * The image zooms with the wheel, a pinch or +/-/0, and a double click or
+ * double tap toggles between fitting the screen and 1:1 (one pixel of the
+ * high-resolution copy, fetched on the first zoom, per screen pixel).
+ * Zoomed in, it pans by dragging, but never so far that an edge comes
+ * away from the side of the screen.
+ *
+ * Visitor actions are announced on `document` as "lightbox:show"
+ * (detail: { id, opening }) and "lightbox:close" so the deep-link code
+ * can mirror them in the URL. The returned API opens/closes without
+ * announcing, for applying state that came *from* the URL.
+ *
+ * destroy() closes it (handing back the page's scroll and focus) and
+ * removes the dialog.
+ */
+function initCardLightbox(root, options, signal) {
+  const modal = document.createElement("div");
+  modal.className = "lightbox-modal hidden";
+  modal.setAttribute("tabindex", "-1");
+  modal.setAttribute("role", "dialog");
+  modal.setAttribute("aria-modal", "true");
+  modal.innerHTML = `
+    <button type="button" class="lightbox-close" data-i18n-aria="lightbox.close">
+      <span aria-hidden="true">&times;</span>
+    </button>
+    <p class="lightbox-counter" data-i18n="lightbox.counter"></p>
+    <button type="button" class="lightbox-nav lightbox-prev" data-i18n-aria="lightbox.prev"></button>
+    <img crossorigin="anonymous" alt="" />
+    <button type="button" class="lightbox-nav lightbox-next" data-i18n-aria="lightbox.next"></button>
+    <div class="lightbox-caption"><h3></h3><p></p></div>`;
+  document.body.appendChild(modal);
+  applyTranslations(modal);
+
+  const modalImg = modal.querySelector("img");
+  const caption = modal.querySelector(".lightbox-caption");
+  const captionTitle = caption.querySelector("h3");
+  const captionDesc = caption.querySelector("p");
+  const counter = modal.querySelector(".lightbox-counter");
+  const prevBtn = modal.querySelector(".lightbox-prev");
+  const nextBtn = modal.querySelector(".lightbox-next");
+  const closeBtn = modal.querySelector(".lightbox-close");
+
+  // Touch devices have no real hover state, so the flip can't be driven by
+  // CSS :hover — it would flip and immediately un-flip before the back
+  // face could be read. On those devices a tap flips the card AND opens
+  // the lightbox together, with the card-back text sliding in as a
+  // caption under the enlarged photo. Closing reverses both at once.
+  // Mouse/trackpad devices (desktop) are untouched: hover still previews
+  // the flip and click still opens a plain, caption-less lightbox exactly
+  // like before.
+  const noHover = window.matchMedia("(hover: none)").matches;
+  if (!noHover) {
+    caption.style.display = "none";
+    // No caption to leave room for on desktop — keep the image exactly
+    // as large as it always was.
+    modalImg.style.maxHeight = "100%";
+  }
+  let activeCard = null;
+
+  // The cards the lightbox steps through, snapshotted when it opens so
+  // the order can't shift underneath the visitor mid-browse.
+  let gallery = [];
+  let currentIndex = 0;
+  let openerCard = null;
+  // Page regions made inert while the dialog is open, so closing only
+  // restores the ones we changed.
+  let inertedElements = [];
+  // The full-size image being fetched for the current card, if any
+  let pendingImage = null;
+  const preloaded = new Set();
+  // Zoom: scale and offset (px) of the image from where it sits at fit
+  let zoom = { scale: 1, x: 0, y: 0 };
+  // The high-resolution copy for the current card: loading, then shown
+  let zoomLoader = null;
+  let zoomImageWidth = 0;
+
+  function getVisibleCards() {
+    return Array.from(root.querySelectorAll(".project-card"))
+      .filter((article) => !article.hidden)
+      .map((article) => article.querySelector(".card"))
+      .filter(Boolean);
+  }
+
+  function getProjectId(card) {
+    return card.closest(".project-card")?.dataset.project || null;
+  }
+
+  /**
+   * The URL of `img`'s full-size image at the width the lightbox will
+   * show it: the viewport's, or less for a tall image that hits the 75vh
+   * height limit first (its shape is known once the thumbnail is in).
+   */
+  function fullImageUrl(img) {
+    let cssWidth = window.innerWidth;
+    if (img.naturalWidth && img.naturalHeight) {
+      const ratio = img.naturalWidth / img.naturalHeight;
+      cssWidth = Math.min(cssWidth, window.innerHeight * 0.75 * ratio);
+    }
+    return sizedFor(img.dataset.full || img.src, cssWidth, MAX_IMAGE_WIDTH);
+  }
+
+  function cancelPendingImage() {
+    if (!pendingImage) return;
+    pendingImage.onload = pendingImage.onerror = null;
+    pendingImage = null;
+    modalImg.classList.remove("is-loading");
+  }
+
+  function showImage(img) {
+    cancelPendingImage();
+    const full = fullImageUrl(img);
+    const preview =
+      img.complete && img.naturalWidth
+        ? img.currentSrc || img.src
+        : placeholderFor(full);
+    if (!preview || preview === full) {
+      modalImg.src = full;
+      return;
+    }
+
+    modalImg.src = preview;
+    modalImg.classList.add("is-loading");
+    const loader = corsImage();
+    loader.onload = loader.onerror = () => {
+      if (pendingImage !== loader) return;
+      pendingImage = null;
+      modalImg.src = full;
+      modalImg.classList.remove("is-loading");
+    };
+    pendingImage = loader;
+    loader.src = full;
+    preloaded.add(full);
+  }
+
+  // Fetch the images either side of the current one, in gallery order
+  // (the filtered, sorted grid as it was when the lightbox opened)
+  function preloadNeighbours() {
+    if (gallery.length < 2) return;
+    [currentIndex - 1, currentIndex + 1].forEach((index) => {
+      const card = gallery[(index + gallery.length) % gallery.length];
+      const url = fullImageUrl(card.querySelector(".card-front img"));
+      if (preloaded.has(url)) return;
+      preloaded.add(url);
+      corsImage().src = url;
+    });
+  }
+
+  function announce(type, detail) {
+    document.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  function showCard(index) {
+    currentIndex = (index + gallery.length) % gallery.length;
+    const card = gallery[currentIndex];
+    const img = card.querySelector(".card-front img");
+
+    resetZoom();
+    showImage(img);
+    preloadNeighbours();
+    modalImg.alt = img.alt || "";
+    modal.setAttribute("aria-label", card.getAttribute("aria-label") || img.alt);
+    counter.setAttribute(
+      "data-i18n-args",
+      JSON.stringify({ current: currentIndex + 1, total: gallery.length })
+    );
+    counter.textContent = t("lightbox.counter", {
+      current: currentIndex + 1,
+      total: gallery.length,
+    });
+
+    if (noHover) {
+      if (activeCard && activeCard !== card) {
+        activeCard.classList.remove("flipped");
+      }
+      card.classList.add("flipped");
+      activeCard = card;
+
+      const titleEl = card.querySelector(".card-back h3");
+      const descEl = card.querySelector(".card-back p");
+      captionTitle.textContent = titleEl ? titleEl.textContent.trim() : "";
+      captionDesc.textContent = descEl ? descEl.textContent.trim() : "";
+
+      caption.classList.remove("visible");
+      // Wait a frame so the transition (rather than the initial state) animates in.
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => caption.classList.add("visible"));
+      });
+    }
+  }
+
+  function openLightbox(card, { silent = false } = {}) {
+    const opening = !isOpen();
+    gallery = getVisibleCards();
+    if (!gallery.includes(card)) gallery = [card];
+
+    const single = gallery.length < 2;
+    prevBtn.hidden = single;
+    nextBtn.hidden = single;
+    counter.hidden = single;
+
+    showCard(gallery.indexOf(card));
+    if (opening) {
+      openerCard = card;
+      setBackgroundInert(true);
+      lockScroll(true);
+    }
+    modal.classList.remove("hidden");
+    closeBtn.focus();
+
+    if (!silent) announce("lightbox:show", { id: getProjectId(card), opening });
+  }
+
+  function closeLightbox({ silent = false } = {}) {
+    if (!isOpen()) return;
+    caption.classList.remove("visible");
+    modal.classList.add("hidden");
+    cancelPendingImage();
+    resetZoom();
+    modalImg.src = "";
+    gallery = [];
+    if (activeCard) {
+      activeCard.classList.remove("flipped");
+      activeCard = null;
+    }
+
+    setBackgroundInert(false);
+    lockScroll(false);
+    if (openerCard) {
+      openerCard.focus();
+      openerCard = null;
+    }
+
+    if (!silent) announce("lightbox:close");
+  }
+
+  function isOpen() {
+    return !modal.classList.contains("hidden");
+  }
+
+  function setBackgroundInert(inert) {
+    if (inert) {
+      inertedElements = Array.from(document.body.children).filter(
+        (el) => el !== modal && !el.inert
+      );
+      inertedElements.forEach((el) => (el.inert = true));
+    } else {
+      inertedElements.forEach((el) => (el.inert = false));
+      inertedElements = [];
+    }
+  }
+
+  // Hiding the page scrollbar would make the layout jump sideways, so
+  // the same width is added back as padding while the dialog is open.
+  function lockScroll(lock) {
+    const html = document.documentElement;
+    if (lock) {
+      const scrollbar = window.innerWidth - html.clientWidth;
+      html.style.setProperty("--scrollbar-width", `${scrollbar}px`);
+      html.classList.add("lightbox-open");
+    } else {
+      html.classList.remove("lightbox-open");
+      html.style.removeProperty("--scrollbar-width");
+    }
+  }
+
+  function trapFocus(e) {
+    const focusable = Array.from(modal.querySelectorAll("button")).filter(
+      (btn) => !btn.hidden
+    );
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!modal.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  function step(delta) {
+    if (gallery.length < 2) return;
+    showCard(currentIndex + delta);
+    announce("lightbox:show", {
+      id: getProjectId(gallery[currentIndex]),
+      opening: false,
+    });
+  }
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) closeLightbox();
+  });
+
+  closeBtn.addEventListener("click", () => closeLightbox());
+  prevBtn.addEventListener("click", () => step(-1));
+  nextBtn.addEventListener("click", () => step(1));
+
+  window.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.key === "Escape") closeLightbox();
+      if (!isOpen()) return;
+      if (e.key === "Tab") {
+        trapFocus(e);
+      } else if (e.key === "ArrowLeft") {
+        e.preventDefault();
+        step(-1);
+      } else if (e.key === "ArrowRight") {
+        e.preventDefault();
+        step(1);
+      } else if (e.key === "+" || e.key === "=") {
+        zoomAtCenter(zoom.scale * 1.5);
+      } else if (e.key === "-") {
+        zoomAtCenter(zoom.scale / 1.5);
+      } else if (e.key === "0") {
+        setZoom(1, 0, 0);
+      }
+    },
+    { signal }
+  );
+
+  // Swipe: a mostly-horizontal drag of at least SWIPE_MIN px changes image.
+  const SWIPE_MIN = 50;
+  let touchStart = null;
+
+  modal.addEventListener(
+    "touchstart",
+    (e) => {
+      // A second finger makes it a pinch, not a swipe
+      if (e.touches.length !== 1) {
+        touchStart = null;
+        return;
+      }
+      touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    },
+    { passive: true }
+  );
+
+  modal.addEventListener(
+    "touchend",
+    (e) => {
+      if (!touchStart) return;
+      const dx = e.changedTouches[0].clientX - touchStart.x;
+      const dy = e.changedTouches[0].clientY - touchStart.y;
+      touchStart = null;
+      // Zoomed in, a drag pans the image instead
+      if (zoom.scale > 1) return;
+      if (Math.abs(dx) >= SWIPE_MIN && Math.abs(dx) > Math.abs(dy)) {
+        step(dx < 0 ? 1 : -1);
+      }
+    },
+    { passive: true }
+  );
+
+  // ------------------------------------------------------------------
+  // Zoom and pan
+  // ------------------------------------------------------------------
+
+  // Pointers on the image (drag, pinch, taps) and the gesture they make
+  const pointers = new Map();
+  let gesture = null;
+  let lastTap = null;
+
+  // Where the image's centre is on screen when it isn't zoomed; the
+  // zoom transform scales around it
+  function fitCenter() {
+    const box = modal.getBoundingClientRect();
+    return {
+      x: box.left + modalImg.offsetLeft + modalImg.offsetWidth / 2,
+      y: box.top + modalImg.offsetTop + modalImg.offsetHeight / 2,
+    };
+  }
+
+  // Keep a zoomed image covering the screen along any axis it is larger
+  // than the screen, and centred where it fits
+  function clampOffset(scale, x, y) {
+    const center = fitCenter();
+    const clampAxis = (offset, size, middle, screen) => {
+      if (size <= screen) return 0;
+      const min = screen - middle - size / 2;
+      const max = size / 2 - middle;
+      return Math.min(max, Math.max(min, offset));
+    };
+    return {
+      x: clampAxis(
+        x,
+        modalImg.offsetWidth * scale,
+        center.x,
+        window.innerWidth
+      ),
+      y: clampAxis(
+        y,
+        modalImg.offsetHeight * scale,
+        center.y,
+        window.innerHeight
+      ),
+    };
+  }
+
+  function setZoom(scale, x, y) {
+    scale = Math.min(MAX_ZOOM, Math.max(1, scale));
+    zoom = { scale, ...clampOffset(scale, x, y) };
+    modalImg.style.transform =
+      scale === 1
+        ? ""
+        : `translate(${zoom.x}px, ${zoom.y}px) scale(${scale})`;
+    modal.classList.toggle("is-zoomed", scale > 1);
+    if (scale > 1) loadZoomImage();
+  }
+
+  // Zoom to `scale` keeping the point of the image under (clientX,
+  // clientY) where it is
+  function zoomAt(scale, clientX, clientY) {
+    const center = fitCenter();
+    const pointX = (clientX - center.x - zoom.x) / zoom.scale;
+    const pointY = (clientY - center.y - zoom.y) / zoom.scale;
+    scale = Math.min(MAX_ZOOM, Math.max(1, scale));
+    setZoom(
+      scale,
+      clientX - center.x - scale * pointX,
+      clientY - center.y - scale * pointY
+    );
+  }
+
+  function zoomAtCenter(scale) {
+    const center = fitCenter();
+    zoomAt(scale, center.x + zoom.x, center.y + zoom.y);
+  }
+
+  function resetZoom() {
+    if (zoomLoader) zoomLoader.onload = zoomLoader.onerror = null;
+    zoomLoader = null;
+    zoomImageWidth = 0;
+    pointers.clear();
+    lastTap = null;
+    modal.classList.remove("is-panning");
+    setZoom(1, 0, 0);
+  }
+
+  // 1:1 is one pixel of the high-resolution copy per device pixel
+  function oneToOneScale() {
+    const scale = zoomImageWidth
+      ? zoomImageWidth / (window.devicePixelRatio || 1) / modalImg.offsetWidth
+      : DEFAULT_ZOOM;
+    return scale > 1 ? scale : DEFAULT_ZOOM;
+  }
+
+  function toggleZoom(clientX, clientY) {
+    if (zoom.scale > 1) setZoom(1, 0, 0);
+    else zoomAt(oneToOneScale(), clientX, clientY);
+  }
+
+  // Fetch the high-resolution copy of the current card's image once, the
+  // first time it is zoomed, and swap it in (same shape, so same box)
+  function loadZoomImage() {
+    if (zoomLoader || !gallery.length) return;
+    const img = gallery[currentIndex].querySelector(".card-front img");
+    const url = withTransforms(img.dataset.full || img.src, {
+      w: ZOOM_IMAGE_WIDTH,
+      c: "at_max",
+    });
+    const loader = corsImage();
+    loader.onload = () => {
+      if (zoomLoader !== loader) return;
+      cancelPendingImage();
+      zoomImageWidth = loader.naturalWidth;
+      modalImg.src = url;
+    };
+    zoomLoader = loader;
+    loader.src = url;
+  }
+
+  modal.addEventListener(
+    "wheel",
+    (e) => {
+      if (!isOpen()) return;
+      e.preventDefault();
+      // Lines (Firefox) rather than pixels; ctrl+wheel is a trackpad pinch
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      const speed = e.ctrlKey ? 0.01 : 0.002;
+      zoomAt(zoom.scale * Math.exp(-delta * speed), e.clientX, e.clientY);
+    },
+    { passive: false }
+  );
+
+  // Drag and pinch with pointer events: one pointer pans, two pinch.
+  // Each gesture is measured from where the pointers were when it
+  // started (or when a finger was added or lifted).
+  function pointerSpread() {
+    const points = Array.from(pointers.values());
+    const x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const distance =
+      points.length > 1
+        ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y)
+        : 0;
+    return { x, y, distance };
+  }
+
+  function startGesture() {
+    gesture = pointers.size
+      ? {
+          ...pointerSpread(),
+          scale: zoom.scale,
+          offsetX: zoom.x,
+          offsetY: zoom.y,
+        }
+      : null;
+    modal.classList.toggle("is-panning", Boolean(gesture));
+  }
+
+  modalImg.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    // Stops the browser's own image drag
+    e.preventDefault();
+    modalImg.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, {
+      x: e.clientX,
+      y: e.clientY,
+      startX: e.clientX,
+      startY: e.clientY,
+      time: e.timeStamp,
+    });
+    startGesture();
+  });
+
+  modalImg.addEventListener("pointermove", (e) => {
+    const pointer = pointers.get(e.pointerId);
+    if (!pointer || !gesture) return;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    const now = pointerSpread();
+    const scale =
+      gesture.distance && now.distance
+        ? gesture.scale * (now.distance / gesture.distance)
+        : gesture.scale;
+    // Nothing to pan at fit; a one-finger drag there is a swipe
+    if (scale <= 1 && gesture.scale <= 1) return;
+
+    // Keep the image point that was under the gesture's centre under it
+    const center = fitCenter();
+    const pointX = (gesture.x - center.x - gesture.offsetX) / gesture.scale;
+    const pointY = (gesture.y - center.y - gesture.offsetY) / gesture.scale;
+    const clamped = Math.min(MAX_ZOOM, Math.max(1, scale));
+    setZoom(
+      clamped,
+      now.x - center.x - clamped * pointX,
+      now.y - center.y - clamped * pointY
+    );
+  });
+
+  function endPointer(e) {
+    const pointer = pointers.get(e.pointerId);
+    if (!pointer) return;
+    pointers.delete(e.pointerId);
+
+    // A quick press that didn't move is a tap; two in a row toggle zoom
+    const moved = Math.hypot(
+      e.clientX - pointer.startX,
+      e.clientY - pointer.startY
+    );
+    const tap =
+      e.type === "pointerup" &&
+      !pointers.size &&
+      moved < 10 &&
+      e.timeStamp - pointer.time < 250;
+    if (tap) {
+      const double =
+        lastTap &&
+        e.timeStamp - lastTap.time < DOUBLE_TAP_DELAY &&
+        Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) <
+          DOUBLE_TAP_DISTANCE;
+      if (double) {
+        lastTap = null;
+        toggleZoom(e.clientX, e.clientY);
+      } else {
+        lastTap = { x: e.clientX, y: e.clientY, time: e.timeStamp };
+      }
+    }
+    startGesture();
+  }
+
+  modalImg.addEventListener("pointerup", endPointer);
+  modalImg.addEventListener("pointercancel", endPointer);
+
+  // Attach click handlers to cards
+  const cards = Array.from(root.querySelectorAll(".card")).filter((card) =>
+    card.querySelector(".card-front img")
+  );
+  cards.forEach((card) => {
+    card.addEventListener(
+      "click",
+      (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        openLightbox(card);
+      },
+      { signal }
+    );
+
+    card.addEventListener(
+      "keydown",
+      (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          openLightbox(card);
+        }
+      },
+      { signal }
+    );
+
+    card.style.cursor = "zoom-in";
+  });
+
+  // The modal's own listeners go with the node.
+  signal.addEventListener("abort", () => {
+    closeLightbox({ silent: true });
+    modal.remove();
+    cards.forEach((card) => (card.style.cursor = ""));
+  });
+
+  return {
+    /** Open the card whose project id is `id`; false if there is none */
+    openItem(id) {
+      const article = Array.from(
+        root.querySelectorAll(".project-card")
+      ).find((el) => el.dataset.project === id);
+      const card = article && article.querySelector(".card");
+      if (!card) return false;
+      openLightbox(card, { silent: true });
+      return true;
+    },
+    close: () => closeLightbox({ silent: true }),
+    isOpen,
+  };
+}
+
+export const { init, destroy } = defineFeature(initCardLightbox);
@@ -0,0 +1,46 @@
+// ==========================================================================
+// MOBILE NAVIGATION (hamburger menu)
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+
+/**
+ * Toggle the mobile nav-links panel via the hamburger button.
+ * Closes automatically when a link is clicked or Escape is pressed.
+ */
+function initMobileNav(root, options, signal) {
+  const toggle = root.querySelector("#navToggle");
+  const links = root.querySelector("#navLinks");
+  if (!toggle || !links) return;
+
+  function closeMenu() {
+    toggle.setAttribute("aria-expanded", "false");
+    links.classList.remove("open");
+  }
+
+  toggle.addEventListener(
+    "click",
+    () => {
+      const isOpen = toggle.getAttribute("aria-expanded") === "true";
+      toggle.setAttribute("aria-expanded", String(!isOpen));
+      links.classList.toggle("open", !isOpen);
+    },
+    { signal }
+  );
+
+  links.querySelectorAll("a").forEach((link) => {
+    link.addEventListener("click", closeMenu, { signal });
+  });
+
+  window.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.key === "Escape") closeMenu();
+    },
+    { signal }
+  );
+
+  signal.addEventListener("abort", closeMenu);
+}
+
+export const { init, destroy } = defineFeature(initMobileNav);
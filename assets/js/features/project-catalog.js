@@ -0,0 +1,80 @@
+// ==========================================================================
+// PROJECT CATALOG
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+import { addTranslations, applyTranslations } from "../i18n.js";
+import { projectCardHtml, projectTranslations } from "../catalog.js";
+
+/**
+ * Fill the project grid from the JSON catalog named by the grid's
+ * data-catalog attribute. Each entry becomes the flip-card markup from
+ * catalog.js, and its per-language title/description/alt text are
+ * registered with i18n.js so setLanguage() keeps them in sync like any
+ * other data-i18n string.
+ *
+ * scripts/prerender.mjs writes the same cards into the page, so crawlers
+ * and visitors without JavaScript see the projects too. Those are kept
+ * as they are; the grid is only rebuilt when it's empty or its cards no
+ * longer match the catalog.
+ *
+ * Resolves once the cards are in the grid; destroy() puts back whatever
+ * the page came with.
+ */
+async function initProjectCatalog(root, options, signal) {
+  const grid = root.querySelector(".projects-grid[data-catalog]");
+  if (!grid) return;
+
+  const original = Array.from(grid.childNodes);
+  signal.addEventListener("abort", () => grid.replaceChildren(...original));
+
+  let projects;
+  try {
+    const response = await fetch(grid.dataset.catalog, { signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    projects = await response.json();
+  } catch (err) {
+    if (signal.aborted) return;
+    console.error("Could not load the project catalog:", err);
+    // Prerendered cards still work, in the language they were written in
+    if (grid.querySelector(".project-card")) return;
+    const message = document.createElement("p");
+    message.className = "projects-error";
+    message.setAttribute("data-i18n", "projects.loadError");
+    grid.replaceChildren(message);
+    applyTranslations(grid);
+    return;
+  }
+  if (signal.aborted) return;
+
+  Object.entries(projectTranslations(projects)).forEach(([lang, entries]) =>
+    addTranslations(lang, entries)
+  );
+
+  const rendered = Array.from(grid.querySelectorAll(".project-card"))
+    .map((card) => card.dataset.project)
+    .join();
+  if (rendered !== projects.map((project) => project.id).join()) {
+    const template = document.createElement("template");
+    template.innerHTML = projects.map(projectCardHtml).join("");
+    grid.replaceChildren(template.content);
+  }
+
+  grid.querySelectorAll(".card-front.blur-up").forEach(watchThumbnail);
+  applyTranslations(grid);
+}
+
+/**
+ * Keep the blurred placeholder showing until the card's thumbnail has
+ * loaded (prerendered cards may well have it already)
+ */
+function watchThumbnail(front) {
+  const img = front.querySelector("img");
+  if (!img || img.complete) return;
+  front.classList.add("is-loading");
+  const loaded = () => front.classList.remove("is-loading");
+  img.addEventListener("load", loaded, { once: true });
+  img.addEventListener("error", loaded, { once: true });
+}
+
+export const { init, destroy } = defineFeature(initProjectCatalog);
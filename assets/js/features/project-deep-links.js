@@ -0,0 +1,145 @@
+// ==========================================================================
+// PROJECT DEEP LINKS
+// ==========================================================================
+
+import { defineFeature, get } from "../registry.js";
+import { scrollToTarget } from "../utils.js";
+
+/**
+ * Keep the project filters and the open lightbox item in the URL, e.g.
+ * #projects?filter=digital-art,photography&item=civicfront, so a link
+ * restores both and the browser's Back button closes the lightbox or
+ * reverts the filter instead of leaving the page.
+ *
+ * Visitor actions push history entries; a lightbox entry is marked in
+ * history.state so closing it can simply go back one step. Moving
+ * between images replaces the entry rather than piling up history.
+ *
+ * Every entry written here also records its filters in history.state.
+ * Entries written by other code (smooth-scroll's #services, for one)
+ * carry no filters, so going back to one leaves the filters as they are
+ * rather than resetting them to all.
+ *
+ * It drives the lightbox and filters through their APIs, which can be
+ * passed in as options; by default they're the ones mounted as
+ * "lightbox" and "projectFilters". The returned API builds the hash for
+ * the current filters, for code that points the URL at #projects.
+ */
+function initProjectDeepLinks(
+  root,
+  { lightbox = get("lightbox"), filters = get("projectFilters") } = {},
+  signal
+) {
+  const section = root.querySelector("#projects");
+  if (!section) return;
+
+  function readState() {
+    const [id, query = ""] = location.hash.slice(1).split("?");
+    const params = new URLSearchParams(query);
+    if (id !== "projects") return { filters: [], item: null };
+    return {
+      filters: (params.get("filter") || "").split(",").filter(Boolean),
+      item: params.get("item"),
+    };
+  }
+
+  // Built by hand rather than with URLSearchParams so the commas between
+  // filters stay readable instead of turning into %2C.
+  function buildHash({ filters: active = [], item }) {
+    const parts = [];
+    if (active.length) {
+      parts.push(`filter=${active.map(encodeURIComponent).join(",")}`);
+    }
+    if (item) parts.push(`item=${encodeURIComponent(item)}`);
+    return parts.length ? `#projects?${parts.join("&")}` : "#projects";
+  }
+
+  function currentFilters() {
+    return filters ? filters.getFilters() : [];
+  }
+
+  /**
+   * The state to restore for the current history entry: its recorded
+   * filters if it has them, else those in its hash, else the current ones
+   */
+  function historyState() {
+    const state = readState();
+    const saved = history.state && history.state.filters;
+    if (Array.isArray(saved)) return { ...state, filters: saved };
+    if (location.hash.startsWith("#projects?")) return state;
+    return { ...state, filters: currentFilters() };
+  }
+
+  function applyState({ filters: active, item }) {
+    if (filters) filters.setFilters(active);
+    if (!lightbox) return;
+    if (!item || !lightbox.openItem(item)) lightbox.close();
+  }
+
+  document.addEventListener(
+    "projects:filterchange",
+    (e) => {
+      const { filters: active } = e.detail;
+      history.pushState(
+        { filters: active },
+        "",
+        buildHash({ filters: active })
+      );
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    "lightbox:show",
+    (e) => {
+      const active = currentFilters();
+      const hash = buildHash({ filters: active, item: e.detail.id });
+      if (e.detail.opening) {
+        history.pushState({ filters: active, lightbox: true }, "", hash);
+      } else {
+        history.replaceState(history.state, "", hash);
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    "lightbox:close",
+    () => {
+      if (history.state && history.state.lightbox) {
+        history.back();
+      } else {
+        // Opened straight from a shared link: there's no earlier entry of
+        // ours to go back to, so just drop the item from the URL.
+        const active = currentFilters();
+        history.replaceState(
+          { filters: active },
+          "",
+          buildHash({ filters: active })
+        );
+      }
+    },
+    { signal }
+  );
+
+  window.addEventListener("popstate", () => applyState(historyState()), {
+    signal,
+  });
+
+  // Restore state from the URL the page was opened with. The browser
+  // can't scroll to "#projects?…" by itself, so do it here.
+  if (location.hash.startsWith("#projects?")) {
+    applyState(readState());
+    scrollToTarget(section, "auto");
+  }
+  // Record the filters the page opened with, so going back to this entry
+  // reverts to them
+  history.replaceState({ ...history.state, filters: currentFilters() }, "");
+
+  return {
+    /** #projects with the current filters (#projects?filter=photography) */
+    hash: () => buildHash({ filters: currentFilters() }),
+  };
+}
+
+export const { init, destroy } = defineFeature(initProjectDeepLinks);
@@ -0,0 +1,273 @@
+// ==========================================================================
+// PROJECT FILTERING
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+import { t } from "../i18n.js";
+import { animateReflow } from "../utils.js";
+import { updateGroupHeadings } from "./project-sorting.js";
+
+/**
+ * Lowercase `text` and strip its accents, so "Diseño" and "diseno"
+ * compare equal.
+ */
+function foldText(text) {
+  return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+/**
+ * Re-render `el`'s text with every occurrence of `terms` (already folded)
+ * wrapped in <mark class="search-hit">. Matching ignores case and accents
+ * but the marked text keeps its original spelling.
+ */
+function highlightTerms(el, terms) {
+  const text = el.textContent;
+  if (!terms.length) {
+    if (el.querySelector("mark")) el.textContent = text;
+    return;
+  }
+
+  // Fold one character at a time, remembering where each folded
+  // character came from, to map matches back onto the original text.
+  let folded = "";
+  const origin = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = foldText(text[i]);
+    folded += char;
+    for (let k = 0; k < char.length; k++) origin.push(i);
+  }
+
+  const ranges = [];
+  terms.forEach((term) => {
+    let at = folded.indexOf(term);
+    while (at !== -1) {
+      ranges.push([origin[at], origin[at + term.length - 1] + 1]);
+      at = folded.indexOf(term, at + term.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const nodes = [];
+  let pos = 0;
+  ranges.forEach(([start, end]) => {
+    if (end <= pos) return; // Already inside an earlier mark
+    const from = Math.max(start, pos);
+    if (from > pos) {
+      nodes.push(document.createTextNode(text.slice(pos, from)));
+    }
+    const mark = document.createElement("mark");
+    mark.className = "search-hit";
+    mark.textContent = text.slice(from, end);
+    nodes.push(mark);
+    pos = end;
+  });
+  if (pos < text.length) nodes.push(document.createTextNode(text.slice(pos)));
+  el.replaceChildren(...nodes);
+}
+
+/**
+ * Category filter buttons plus the search field. Categories can be
+ * combined (e.g. digital + graphic); "All" clears the selection. The
+ * search matches every word typed against each project's title,
+ * description and tags in the current language, ignoring accents, and
+ * narrows whatever categories are selected. Matches are highlighted on
+ * the card backs, and the search re-runs when the language changes.
+ *
+ * Each button shows how many projects it matches, the grid reflows with
+ * a FLIP animation (skipped under reduced motion), an empty state shows
+ * when nothing matches, and the result count is announced in
+ * .projects-status.
+ *
+ * A visitor's choice is announced on `document` as
+ * "projects:filterchange" (detail: { filters }, [] meaning all); the
+ * returned API sets filters without announcing them.
+ */
+function initProjectFilters(root, options, signal) {
+  const filterBar = root.querySelector(".projects-filters");
+  if (!filterBar) return;
+
+  const buttons = Array.from(filterBar.querySelectorAll(".filter-btn"));
+  const searchInput = filterBar.querySelector(".projects-search");
+  const allButton = buttons.find((btn) => btn.dataset.filter === "all");
+  const categoryButtons = buttons.filter((btn) => btn !== allButton);
+  const grid = root.querySelector(".projects-grid");
+  const cards = Array.from(root.querySelectorAll(".project-card"));
+  const emptyState = root.querySelector(".projects-empty");
+  const status = root.querySelector(".projects-status");
+
+  let activeFilters = [];
+  let searchTerms = [];
+  let searchTimer = null;
+
+  function categoryOf(card) {
+    return (card.dataset.category || "").toLowerCase();
+  }
+
+  function searchableText(card) {
+    const id = card.dataset.project;
+    const text = ["title", "desc", "tags"]
+      .map((key) => t(`project.${id}.${key}`))
+      .join(" ");
+    return foldText(text);
+  }
+
+  function matchesSearch(card) {
+    if (!searchTerms.length) return true;
+    const text = searchableText(card);
+    return searchTerms.every((term) => text.includes(term));
+  }
+
+  function matches(card, filters) {
+    const inCategory = !filters.length || filters.includes(categoryOf(card));
+    return inCategory && matchesSearch(card);
+  }
+
+  function updateCounts() {
+    buttons.forEach((btn) => {
+      const count = btn.querySelector(".filter-count");
+      if (!count) return;
+      const filters = btn === allButton ? [] : [btn.dataset.filter];
+      count.textContent = cards.filter((card) => matches(card, filters)).length;
+    });
+  }
+
+  function setPressed() {
+    buttons.forEach((btn) => {
+      const pressed =
+        btn === allButton
+          ? !activeFilters.length
+          : activeFilters.includes(btn.dataset.filter);
+      btn.setAttribute("aria-pressed", String(pressed));
+    });
+  }
+
+  function applyFilters(filters) {
+    activeFilters = filters;
+    setPressed();
+
+    let shown = 0;
+    cards.forEach((card) => {
+      card.hidden = !matches(card, filters);
+      if (!card.hidden) shown++;
+      card
+        .querySelectorAll(".card-back h3, .card-back p")
+        .forEach((el) => highlightTerms(el, searchTerms));
+    });
+    if (emptyState) emptyState.hidden = shown > 0;
+    if (grid) updateGroupHeadings(grid);
+    return shown;
+  }
+
+  function announce(count) {
+    if (!status) return;
+    status.setAttribute("data-i18n", "projects.count");
+    status.setAttribute("data-i18n-args", JSON.stringify({ count }));
+    status.textContent = t("projects.count", { count });
+  }
+
+  /**
+   * Keep only filters that have a button, in button order
+   */
+  function normalize(filters) {
+    return categoryButtons
+      .map((btn) => btn.dataset.filter)
+      .filter((filter) => filters.includes(filter));
+  }
+
+  // Click and keyboard handlers
+  buttons.forEach((btn, index) => {
+    btn.addEventListener(
+      "click",
+      () => {
+        let filters;
+        if (btn === allButton) {
+          if (!activeFilters.length) return;
+          filters = [];
+        } else {
+          const filter = btn.dataset.filter;
+          filters = activeFilters.includes(filter)
+            ? activeFilters.filter((f) => f !== filter)
+            : normalize([...activeFilters, filter]);
+        }
+
+        const shown = animateReflow(grid, () => applyFilters(filters));
+        announce(shown);
+        document.dispatchEvent(
+          new CustomEvent("projects:filterchange", { detail: { filters } })
+        );
+      },
+      { signal }
+    );
+
+    btn.addEventListener(
+      "keydown",
+      (e) => {
+        if (e.key === "ArrowRight") {
+          e.preventDefault();
+          const next = buttons[(index + 1) % buttons.length];
+          next.focus();
+        } else if (e.key === "ArrowLeft") {
+          e.preventDefault();
+          const prev = buttons[(index - 1 + buttons.length) % buttons.length];
+          prev.focus();
+        } else if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          btn.click();
+        }
+      },
+      { signal }
+    );
+  });
+
+  function runSearch() {
+    searchTerms = foldText(searchInput.value).split(/\s+/).filter(Boolean);
+    updateCounts();
+    announce(animateReflow(grid, () => applyFilters(activeFilters)));
+  }
+
+  if (searchInput) {
+    searchInput.addEventListener(
+      "input",
+      () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runSearch, 200);
+      },
+      { signal }
+    );
+  }
+
+  // setLanguage() rewrites the card text (dropping the highlights), and
+  // the words to match are different in the new language.
+  document.addEventListener(
+    "i18n:change",
+    () => {
+      if (!searchTerms.length) return;
+      updateCounts();
+      animateReflow(grid, () => applyFilters(activeFilters));
+    },
+    { signal }
+  );
+
+  signal.addEventListener("abort", () => clearTimeout(searchTimer));
+
+  updateCounts();
+  applyFilters(
+    normalize(
+      categoryButtons
+        .filter((btn) => btn.getAttribute("aria-pressed") === "true")
+        .map((btn) => btn.dataset.filter)
+    )
+  );
+
+  return {
+    /** Apply `filters` (an array; [] for all), ignoring unknown ones */
+    setFilters(filters) {
+      const next = normalize(filters);
+      if (next.join() === activeFilters.join()) return;
+      animateReflow(grid, () => applyFilters(next));
+    },
+    getFilters: () => [...activeFilters],
+  };
+}
+
+export const { init, destroy } = defineFeature(initProjectFilters);
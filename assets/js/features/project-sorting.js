@@ -0,0 +1,154 @@
+// ==========================================================================
+// PROJECT SORTING & GROUPING
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+import { t } from "../i18n.js";
+import { animateReflow } from "../utils.js";
+
+/**
+ * Hide each group heading whose cards are all filtered out
+ */
+export function updateGroupHeadings(grid) {
+  let heading = null;
+  let hasVisible = false;
+  Array.from(grid.children).forEach((el) => {
+    if (el.classList.contains("projects-group-heading")) {
+      if (heading) heading.hidden = !hasVisible;
+      heading = el;
+      hasVisible = false;
+    } else if (!el.hidden) {
+      hasVisible = true;
+    }
+  });
+  if (heading) heading.hidden = !hasVisible;
+}
+
+/**
+ * Sort and group controls for the project grid. Cards are reordered in
+ * the DOM itself, not just visually, so the filters, the lightbox's
+ * prev/next order and the stagger reveal all follow what's on screen.
+ * In the grouped view a localized heading starts each group, in the
+ * order its first card appears. destroy() puts the cards back in
+ * catalog order.
+ */
+function initProjectSorting(root, options, signal) {
+  const grid = root.querySelector(".projects-grid");
+  const sortSelect = root.querySelector("#projectSort");
+  const groupSelect = root.querySelector("#projectGroup");
+  if (!grid || !sortSelect || !groupSelect) return;
+
+  const cards = Array.from(grid.querySelectorAll(".project-card"));
+  if (!cards.length) return;
+
+  const catalogIndex = new Map(cards.map((card, i) => [card, i]));
+  const categoryOrder = [
+    ...new Set(cards.map((card) => card.dataset.category)),
+  ];
+
+  /**
+   * What the grouped view can group by: the value each card is grouped
+   * on, and its heading's text (an i18n key, or plain text for years).
+   */
+  const groupings = {
+    category: (card) => ({
+      value: card.dataset.category,
+      key: `projects.category.${card.dataset.category}`,
+    }),
+    medium: (card) => ({
+      value: card.dataset.medium,
+      key: `projects.medium.${card.dataset.medium}`,
+    }),
+    year: (card) => ({ value: card.dataset.year, text: card.dataset.year }),
+  };
+
+  /**
+   * Comparator for a sort option; ties are left to the catalog order
+   */
+  function compare(sort) {
+    const year = (card) => Number(card.dataset.year);
+    switch (sort) {
+      case "newest":
+        return (a, b) => year(b) - year(a);
+      case "oldest":
+        return (a, b) => year(a) - year(b);
+      case "category":
+        return (a, b) =>
+          categoryOrder.indexOf(a.dataset.category) -
+          categoryOrder.indexOf(b.dataset.category);
+      case "title": {
+        const collator = new Intl.Collator(document.documentElement.lang, {
+          sensitivity: "base",
+          numeric: true,
+        });
+        const title = (card) => t(`project.${card.dataset.project}.title`);
+        return (a, b) => collator.compare(title(a), title(b));
+      }
+      default:
+        return () => 0; // "featured": the catalog order
+    }
+  }
+
+  function buildHeading({ key, text }) {
+    const heading = document.createElement("h3");
+    heading.className = "projects-group-heading";
+    if (key) {
+      heading.setAttribute("data-i18n", key);
+      heading.textContent = t(key);
+    } else {
+      heading.textContent = text;
+    }
+    return heading;
+  }
+
+  function render() {
+    const byOrder = compare(sortSelect.value);
+    const sorted = [...cards].sort(
+      (a, b) => byOrder(a, b) || catalogIndex.get(a) - catalogIndex.get(b)
+    );
+
+    const grouping = groupings[groupSelect.value];
+    let nodes = sorted;
+    if (grouping) {
+      const groups = new Map();
+      sorted.forEach((card) => {
+        const group = grouping(card);
+        if (!groups.has(group.value)) {
+          groups.set(group.value, { group, members: [] });
+        }
+        groups.get(group.value).members.push(card);
+      });
+      nodes = [...groups.values()].flatMap(({ group, members }) => [
+        buildHeading(group),
+        ...members,
+      ]);
+    }
+
+    grid.classList.toggle("grouped", Boolean(grouping));
+    animateReflow(grid, () => {
+      grid.replaceChildren(...nodes);
+      updateGroupHeadings(grid);
+    });
+  }
+
+  sortSelect.addEventListener("change", render, { signal });
+  groupSelect.addEventListener("change", render, { signal });
+
+  // Titles sort differently (and read differently) in another language.
+  document.addEventListener(
+    "i18n:change",
+    () => {
+      if (sortSelect.value === "title") render();
+    },
+    { signal }
+  );
+
+  signal.addEventListener("abort", () => {
+    grid.classList.remove("grouped");
+    grid.replaceChildren(...cards);
+  });
+
+  if (sortSelect.value !== "featured" || groupSelect.value !== "none") render();
+}
+
+export const { init, destroy } = defineFeature(initProjectSorting);
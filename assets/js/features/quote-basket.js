@@ -0,0 +1,188 @@
+// ==========================================================================
+// QUOTE BASKET
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+import { t } from "../i18n.js";
+import { scrollToTarget } from "../utils.js";
+
+/**
+ * Every service in the accordion can be picked into a quote basket. The
+ * picks are stored in localStorage by their i18n keys ("services.brand.1",
+ * …), so they survive reloads and language switches, and their labels
+ * always come from the active dictionary rather than the page text.
+ *
+ * The floating .quote-basket shows how many services are picked. Sending
+ * it writes the list into the contact form's message, in the visitor's
+ * language, while a hidden "services" field carries the same picks as
+ * language-neutral ids ("brand.1, marketing.3") for whoever reads the
+ * submissions. The basket empties once the message has been sent.
+ *
+ * destroy() turns the services back into plain list items and hides the
+ * basket; the picks stay saved for the next mount.
+ */
+const QUOTE_STORAGE_KEY = "portfolioQuote";
+
+function initQuoteBasket(root, options, signal) {
+  const basket = root.querySelector(".quote-basket");
+  const form = root.querySelector(".contact-form");
+  const message = form && form.querySelector('[name="message"]');
+  const items = root.querySelectorAll(".accordion-panel li[data-i18n]");
+  if (!basket || !message || !items.length) return;
+
+  const sendBtn = basket.querySelector(".quote-basket-send");
+  const clearBtn = basket.querySelector(".quote-basket-clear");
+  const count = basket.querySelector(".quote-basket-count");
+  const hint = root.querySelector(".services-hint");
+
+  const field = document.createElement("input");
+  field.type = "hidden";
+  field.name = "services";
+  form.appendChild(field);
+
+  // The key moves from the <li> onto a toggle button inside it, so
+  // applyTranslations() keeps the label translated.
+  const picks = Array.from(items, (li) => {
+    const key = li.getAttribute("data-i18n");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "service-pick";
+    button.setAttribute("data-i18n", key);
+    button.textContent = li.textContent.trim();
+    li.removeAttribute("data-i18n");
+    li.replaceChildren(button);
+    return { key, button, li };
+  });
+
+  const selected = new Set(readSelection());
+  // The list as last written into the message, so sending again or
+  // switching language replaces it instead of adding another copy
+  let written = null;
+
+  function readSelection() {
+    try {
+      return JSON.parse(localStorage.getItem(QUOTE_STORAGE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  // In accordion order, whatever order they were picked in
+  function selectedKeys() {
+    return picks.map(({ key }) => key).filter((key) => selected.has(key));
+  }
+
+  function listText() {
+    const lines = selectedKeys().map((key) => {
+      const category = key.split(".")[1];
+      return `- ${t(`services.cat.${category}`)}: ${t(key)}`;
+    });
+    return [t("quote.intro"), ...lines].join("\n");
+  }
+
+  function render() {
+    const keys = selectedKeys();
+
+    picks.forEach(({ key, button }) => {
+      button.setAttribute("aria-pressed", String(selected.has(key)));
+    });
+
+    basket.hidden = !keys.length;
+    count.textContent = keys.length;
+    sendBtn.setAttribute("data-i18n-args", JSON.stringify({ count: keys.length }));
+    sendBtn.setAttribute("aria-label", t("quote.sendAria", { count: keys.length }));
+
+    // A disabled field is left out of the submission altogether.
+    field.value = keys.map((key) => key.replace(/^services\./, "")).join(", ");
+    field.disabled = !keys.length;
+
+    if (keys.length) {
+      localStorage.setItem(QUOTE_STORAGE_KEY, JSON.stringify(keys));
+    } else {
+      localStorage.removeItem(QUOTE_STORAGE_KEY);
+    }
+  }
+
+  function writeMessage() {
+    const text = listText();
+    const current = message.value;
+    if (written && current.includes(written)) {
+      message.value = current.replace(written, text);
+    } else {
+      message.value = current.trim() ? `${current.trimEnd()}\n\n${text}` : text;
+    }
+    written = text;
+
+    // Lets the contact form save its draft and re-check the field
+    message.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  picks.forEach(({ key, button }) => {
+    button.addEventListener(
+      "click",
+      () => {
+        if (selected.has(key)) {
+          selected.delete(key);
+        } else {
+          selected.add(key);
+        }
+        render();
+      },
+      { signal }
+    );
+  });
+
+  sendBtn.addEventListener(
+    "click",
+    () => {
+      writeMessage();
+      scrollToTarget(form);
+      message.focus({ preventScroll: true });
+    },
+    { signal }
+  );
+
+  clearBtn.addEventListener(
+    "click",
+    () => {
+      selected.clear();
+      render();
+      // The basket has just hidden itself along with the focused button.
+      root.querySelector(".accordion-header")?.focus();
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    "i18n:change",
+    () => {
+      if (written && message.value.includes(written)) writeMessage();
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    "contact:sent",
+    () => {
+      selected.clear();
+      written = null;
+      render();
+    },
+    { signal }
+  );
+
+  signal.addEventListener("abort", () => {
+    picks.forEach(({ key, button, li }) => {
+      li.setAttribute("data-i18n", key);
+      li.textContent = button.textContent;
+    });
+    field.remove();
+    basket.hidden = true;
+    if (hint) hint.hidden = true;
+  });
+
+  if (hint) hint.hidden = false;
+  render();
+}
+
+export const { init, destroy } = defineFeature(initQuoteBasket);
@@ -0,0 +1,187 @@
+/**
+ * ==========================================================================
+ * SCROLL REVEAL
+ * Scroll animations using IntersectionObserver
+ * ==========================================================================
+ *
+ * LEARNING OBJECTIVES:
+ * - Understand the IntersectionObserver API for scroll-based triggers
+ * - Learn why IntersectionObserver is better than scroll event listeners
+ * - Implement accessible animations with prefers-reduced-motion
+ * - Master the observer pattern for performant scroll detection
+ *
+ * WHAT IS INTERSECTIONOBSERVER?
+ * IntersectionObserver is a browser API that efficiently detects when elements
+ * enter or leave the viewport (or any ancestor element). It's the modern
+ * replacement for scroll event listeners.
+ *
+ * WHY NOT USE addEventListener('scroll', ...)?
+ * - scroll events fire on EVERY PIXEL of scroll (60+ times per second!)
+ * - This blocks the main thread and causes "jank" (stuttering)
+ * - IntersectionObserver is optimized by the browser, runs asynchronously,
+ *   and only fires when intersection state actually changes
+ */
+
+import { defineFeature } from "../registry.js";
+
+// ==========================================================================
+// 1. INTERSECTIONOBSERVER CONFIGURATION
+// ==========================================================================
+
+/**
+ * What the markup can ask for. Any element can opt in; the CSS for each
+ * variant lives in components.css.
+ *
+ *   data-reveal="fade-up"     how it comes in: fade-up (also what plain
+ *                             .animate-on-scroll does), fade-down, fade,
+ *                             zoom, slide-left, slide-right
+ *   data-reveal-delay="200"   wait before starting (ms, or any CSS time)
+ *   data-reveal-duration="1s" how long the transition takes
+ *   data-reveal-threshold=".5" how much of it must be visible (0 to 1)
+ *   data-reveal-repeat        hide again on the way out, so it replays
+ *
+ * [data-reveal-stagger] containers reveal their children one after
+ * another instead; the same attributes work on them, and the value of
+ * data-reveal-stagger itself (if any) is the gap between two children.
+ */
+const REVEAL_SELECTOR = ".animate-on-scroll, [data-reveal], [data-reveal-stagger]";
+
+const defaultOptions = {
+  rootMargin: "0px 0px -10% 0px", // Trigger 10% before fully visible
+  threshold: 0.1, // Need 10% visibility to trigger
+};
+
+/**
+ * "200" -> "200ms"; anything else is taken as a CSS time already
+ */
+function cssTime(value) {
+  return /^\d+(\.\d+)?$/.test(value.trim()) ? `${value.trim()}ms` : value;
+}
+
+function wantsRepeat(el) {
+  return el.hasAttribute("data-reveal-repeat") && el.dataset.revealRepeat !== "false";
+}
+
+/**
+ * The attribute's threshold if it's a number from 0 to 1, else `fallback`
+ */
+function thresholdOf(el, fallback) {
+  const value = parseFloat(el.dataset.revealThreshold);
+  return value >= 0 && value <= 1 ? value : fallback;
+}
+
+/**
+ * Number the children a stagger container is about to reveal, so each
+ * one's transition-delay (in CSS) is its --reveal-index times the step,
+ * however many there are. Hidden children (e.g. filtered-out projects)
+ * don't take a turn.
+ */
+function indexChildren(container) {
+  let index = 0;
+  Array.from(container.children).forEach((child) => {
+    if (child.hidden) return;
+    child.style.setProperty("--reveal-index", index++);
+  });
+}
+
+/**
+ * Stagger containers get .revealed, everything else .visible
+ */
+function setRevealed(el, revealed) {
+  if (el.hasAttribute("data-reveal-stagger")) {
+    if (revealed) indexChildren(el);
+    el.classList.toggle("revealed", revealed);
+  } else {
+    el.classList.toggle("visible", revealed);
+  }
+}
+
+/**
+ * Shared by every observer: reveal what comes into view, and either stop
+ * watching it or, with data-reveal-repeat, hide it again when it leaves.
+ */
+const revealOnScroll = (entries, observer) => {
+  entries.forEach((entry) => {
+    const repeat = wantsRepeat(entry.target);
+    if (entry.isIntersecting) {
+      // Add class that triggers CSS transition.
+      setRevealed(entry.target, true);
+
+      // PERFORMANCE OPTIMIZATION: Stop observing after reveal
+      // Once an element is revealed, we don't need to watch it anymore.
+      // This reduces work for the observer and prevents re-triggering.
+      if (!repeat) observer.unobserve(entry.target);
+    } else if (repeat) {
+      setRevealed(entry.target, false);
+    }
+  });
+};
+
+// ==========================================================================
+// 2. INITIALIZE OBSERVERS
+// ==========================================================================
+
+/**
+ * Watch every reveal element under `root`. Elements asking for the same
+ * observer options share one IntersectionObserver rather than getting
+ * one each, so a page full of reveals still costs a handful of them.
+ *
+ * options.threshold and options.rootMargin change the defaults for
+ * elements that don't set their own.
+ */
+function initScrollAnimations(root, options, signal) {
+  const settings = { ...defaultOptions, ...options };
+  const elements = root.querySelectorAll(REVEAL_SELECTOR);
+
+  // Timing comes from the attributes through custom properties, which
+  // the reveal transitions in components.css read.
+  elements.forEach((el) => {
+    if (el.dataset.revealDelay) {
+      el.style.setProperty("--reveal-delay", cssTime(el.dataset.revealDelay));
+    }
+    if (el.dataset.revealDuration) {
+      el.style.setProperty("--reveal-duration", cssTime(el.dataset.revealDuration));
+    }
+    if (el.hasAttribute("data-reveal-stagger") && el.dataset.revealStagger) {
+      el.style.setProperty("--reveal-step", cssTime(el.dataset.revealStagger));
+    }
+  });
+
+  // Check user's reduced motion preference
+  const prefersReducedMotion = window.matchMedia(
+    "(prefers-reduced-motion: reduce)"
+  ).matches;
+
+  if (prefersReducedMotion) {
+    // Show all content immediately without animations
+    elements.forEach((el) => setRevealed(el, true));
+    return;
+  }
+
+  // One observer per option set (just the threshold for now), created
+  // the first time an element needs it
+  const observers = new Map();
+  function observerFor(threshold) {
+    if (!observers.has(threshold)) {
+      observers.set(
+        threshold,
+        new IntersectionObserver(revealOnScroll, {
+          root: null, // Use the browser viewport
+          rootMargin: settings.rootMargin,
+          threshold,
+        })
+      );
+    }
+    return observers.get(threshold);
+  }
+
+  elements.forEach((el) => {
+    observerFor(thresholdOf(el, settings.threshold)).observe(el);
+  });
+
+  signal.addEventListener("abort", () => {
+    observers.forEach((observer) => observer.disconnect());
+  });
+}
+
+export const { init, destroy } = defineFeature(initScrollAnimations);
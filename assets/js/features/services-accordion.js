@@ -0,0 +1,106 @@
+// ==========================================================================
+// SERVICES ACCORDION
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+import { scrollToTarget } from "../utils.js";
+
+/**
+ * The services categories follow the WAI-ARIA accordion pattern, the same
+ * way for mouse, touch and keyboard: each .accordion-header is a button
+ * that toggles its panel (click, tap, Enter or Space), and Up/Down/
+ * Home/End move focus between the headers of both columns.
+ *
+ * options.mode picks "single" (opening a category closes the one that
+ * was open, the default) or "multiple" (any number open at once).
+ *
+ * A fragment like #services/illustration opens that category and scrolls
+ * to it; the name is the panel id without its "svc-" prefix.
+ *
+ * Closed panels are inert, so the service buttons inside them (see the
+ * quote basket) stay out of the tab order. The panels only collapse under
+ * the .js-accordion class added here; without it they all stay open.
+ */
+function initServicesAccordion(root, { mode = "single" } = {}, signal) {
+  const accordion = root.querySelector(".services-accordion");
+  if (!accordion) return;
+
+  const single = mode !== "multiple";
+  const items = Array.from(accordion.querySelectorAll(".accordion-item"))
+    .map((item) => {
+      const header = item.querySelector(".accordion-header");
+      const panel = header && document.getElementById(header.getAttribute("aria-controls"));
+      return panel ? { item, header, panel } : null;
+    })
+    .filter(Boolean);
+  const headers = items.map(({ header }) => header);
+  accordion.classList.add("js-accordion");
+
+  function setOpen(entry, open) {
+    entry.item.classList.toggle("open", open);
+    entry.header.setAttribute("aria-expanded", String(open));
+    entry.panel.toggleAttribute("inert", !open);
+  }
+
+  function toggle(entry, open = !entry.item.classList.contains("open")) {
+    if (open && single) {
+      items.forEach((other) => other !== entry && setOpen(other, false));
+    }
+    setOpen(entry, open);
+  }
+
+  items.forEach((entry) => {
+    const { header, panel } = entry;
+    if (!header.id) header.id = `${panel.id}-header`;
+    panel.setAttribute("aria-labelledby", header.id);
+    setOpen(entry, entry.item.classList.contains("open"));
+
+    // Enter and Space already click a <button>
+    header.addEventListener("click", () => toggle(entry), { signal });
+  });
+
+  accordion.addEventListener(
+    "keydown",
+    (e) => {
+      const index = headers.indexOf(e.target);
+      if (index === -1) return;
+
+      const last = headers.length - 1;
+      const next = {
+        ArrowDown: index === last ? 0 : index + 1,
+        ArrowUp: index === 0 ? last : index - 1,
+        Home: 0,
+        End: last,
+      }[e.key];
+      if (next === undefined) return;
+
+      e.preventDefault();
+      headers[next].focus();
+    },
+    { signal }
+  );
+
+  function openFromHash(behavior) {
+    const [section, name] = location.hash.slice(1).split("/");
+    if (section !== "services" || !name) return;
+
+    const entry = items.find(({ panel }) => panel.id === `svc-${decodeURIComponent(name)}`);
+    if (!entry) return;
+    toggle(entry, true);
+    scrollToTarget(entry.item, behavior);
+  }
+
+  window.addEventListener("hashchange", () => openFromHash("smooth"), {
+    signal,
+  });
+  openFromHash("auto");
+
+  // Without the accordion nothing could reopen a panel, so show them all
+  // and leave them reachable.
+  signal.addEventListener("abort", () => {
+    accordion.classList.remove("js-accordion");
+    items.forEach(({ panel }) => panel.removeAttribute("inert"));
+  });
+}
+
+export const { init, destroy } = defineFeature(initServicesAccordion);
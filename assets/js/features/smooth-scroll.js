@@ -0,0 +1,37 @@
+// ==========================================================================
+// SMOOTH SCROLL FOR ANCHOR LINKS
+// ==========================================================================
+
+import { defineFeature, get } from "../registry.js";
+import { scrollToTarget } from "../utils.js";
+
+function initSmoothScroll(root, options, signal) {
+  root.querySelectorAll('a[href^="#"]').forEach((anchor) => {
+    anchor.addEventListener(
+      "click",
+      (e) => {
+        const targetId = anchor.getAttribute("href");
+        if (targetId === "#") return;
+
+        // getElementById rather than querySelector: fragments such as
+        // #services/illustration aren't valid selectors, and are left to
+        // the browser (and the hashchange handlers) instead.
+        const target = document.getElementById(targetId.slice(1));
+        if (target) {
+          e.preventDefault();
+
+          // Smooth scroll to target
+          scrollToTarget(target);
+
+          // Update URL without reload. #projects comes from the deep-link
+          // feature, so the active filters stay in it.
+          const deepLinks = targetId === "#projects" && get("projectDeepLinks");
+          history.pushState(null, "", deepLinks ? deepLinks.hash() : targetId);
+        }
+      },
+      { signal }
+    );
+  });
+}
+
+export const { init, destroy } = defineFeature(initSmoothScroll);
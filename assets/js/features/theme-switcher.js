@@ -0,0 +1,118 @@
+// ==========================================================================
+// THEME SWITCHER
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+
+const THEME_STORAGE_KEY = "portfolioTheme";
+const THEMES = ["light", "dark", "contrast"];
+
+/**
+ * The theme the system asks for. The inline script in index.html's
+ * <head> makes the same choice before first paint.
+ */
+function systemTheme() {
+  if (window.matchMedia("(prefers-contrast: more)").matches) return "contrast";
+  return window.matchMedia("(prefers-color-scheme: light)").matches
+    ? "light"
+    : "dark";
+}
+
+/**
+ * Light / dark / high-contrast menu next to the language switcher.
+ * The themes themselves are just sets of custom properties in theme.css,
+ * keyed on <html data-theme>. "System" forgets the saved choice and
+ * follows the OS setting again, including when it changes.
+ */
+function initThemeSwitcher(root, options, signal) {
+  const toggleBtn = root.querySelector("#themeToggleBtn");
+  const dropdown = root.querySelector("#themeDropdown");
+  if (!toggleBtn || !dropdown) return;
+
+  const themeOptions = dropdown.querySelectorAll(".theme-option");
+  const saved = localStorage.getItem(THEME_STORAGE_KEY);
+  let choice = THEMES.includes(saved) ? saved : "system";
+
+  function applyTheme() {
+    document.documentElement.dataset.theme =
+      choice === "system" ? systemTheme() : choice;
+    themeOptions.forEach((option) => {
+      option.setAttribute(
+        "aria-pressed",
+        String(option.dataset.themeOption === choice)
+      );
+    });
+  }
+
+  function closeDropdown() {
+    dropdown.classList.remove("open");
+    toggleBtn.setAttribute("aria-expanded", "false");
+  }
+
+  toggleBtn.addEventListener(
+    "click",
+    () => {
+      const open = dropdown.classList.toggle("open");
+      toggleBtn.setAttribute("aria-expanded", String(open));
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    "click",
+    (e) => {
+      if (!dropdown.contains(e.target) && !toggleBtn.contains(e.target)) {
+        closeDropdown();
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.key === "Escape") closeDropdown();
+    },
+    { signal }
+  );
+
+  themeOptions.forEach((option) => {
+    option.addEventListener(
+      "click",
+      () => {
+        choice = option.dataset.themeOption;
+        if (choice === "system") {
+          localStorage.removeItem(THEME_STORAGE_KEY);
+        } else {
+          localStorage.setItem(THEME_STORAGE_KEY, choice);
+        }
+        applyTheme();
+        closeDropdown();
+      },
+      { signal }
+    );
+  });
+
+  ["(prefers-contrast: more)", "(prefers-color-scheme: light)"].forEach(
+    (query) => {
+      window.matchMedia(query).addEventListener(
+        "change",
+        () => {
+          if (choice === "system") applyTheme();
+        },
+        { signal }
+      );
+    }
+  );
+
+  // The theme itself stays applied; only the menu goes away.
+  signal.addEventListener("abort", () => {
+    closeDropdown();
+    toggleBtn.closest(".theme-switch").hidden = true;
+  });
+
+  applyTheme();
+  toggleBtn.closest(".theme-switch").hidden = false;
+}
+
+export const { init, destroy } = defineFeature(initThemeSwitcher);
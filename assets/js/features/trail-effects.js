@@ -0,0 +1,281 @@
+// ==========================================================================
+// POINTER TRAIL EFFECTS
+// ==========================================================================
+
+import { defineFeature } from "../registry.js";
+
+const EFFECTS_STORAGE_KEY = "portfolioEffects";
+
+/**
+ * Effects that can be drawn on #trailCanvas, picked by options.effect.
+ *
+ * Each one keeps its own tuning next to its drawing code:
+ * - maxTrail: how many recent pointer positions it keeps
+ * - trailIdleTimeout: ms of inactivity before the trail starts fading
+ * - trailFadeDuration: ms the fade takes to vanish completely
+ *
+ * draw(ctx, points, fade, now) paints one frame; `points` are the recent
+ * positions ({ x, y, time }, oldest first) and `fade` goes from 0 to 1 as
+ * the trail fades out. An optional addPoint(point) can decorate each new
+ * position before it's stored.
+ */
+const trailEffects = {
+  // The original stroke: a round line that gets more opaque towards the pointer
+  ribbon: {
+    maxTrail: 30,
+    lineWidth: 8,
+    trailIdleTimeout: 100,
+    trailFadeDuration: 250,
+
+    draw(ctx, points, fade) {
+      ctx.lineWidth = this.lineWidth;
+      ctx.lineCap = "round";
+
+      for (let i = 1; i < points.length; i++) {
+        const p1 = points[i - 1];
+        const p2 = points[i];
+
+        const baseAlpha = i / points.length;
+        ctx.globalAlpha = baseAlpha * (1 - fade);
+
+        ctx.beginPath();
+        ctx.moveTo(p1.x, p1.y);
+        ctx.lineTo(p2.x, p2.y);
+        ctx.stroke();
+      }
+    },
+  },
+
+  // Small four-pointed stars thrown off the pointer that drift and shrink
+  sparkle: {
+    maxTrail: 40,
+    size: 5,
+    speed: 0.04, // px per ms
+    gravity: 0.00008, // px per ms²
+    life: 700, // ms each star lives
+    trailIdleTimeout: 0,
+    trailFadeDuration: 700,
+
+    addPoint(point) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = this.speed * (0.3 + Math.random());
+      point.vx = Math.cos(angle) * speed;
+      point.vy = Math.sin(angle) * speed;
+      point.size = this.size * (0.5 + Math.random() * 0.75);
+    },
+
+    draw(ctx, points, fade, now) {
+      for (const p of points) {
+        const age = now - p.time;
+        if (age < 0 || age > this.life) continue;
+
+        const progress = age / this.life;
+        const x = p.x + p.vx * age;
+        const y = p.y + p.vy * age + this.gravity * age * age;
+        const r = p.size * (1 - progress);
+
+        ctx.globalAlpha = (1 - progress) * (1 - fade);
+        ctx.beginPath();
+        ctx.moveTo(x, y - r);
+        ctx.quadraticCurveTo(x, y, x + r, y);
+        ctx.quadraticCurveTo(x, y, x, y + r);
+        ctx.quadraticCurveTo(x, y, x - r, y);
+        ctx.quadraticCurveTo(x, y, x, y - r);
+        ctx.fill();
+      }
+    },
+  },
+
+  // A brush stroke: thick when the pointer moves slowly, thin when it's
+  // flicked, tapering off towards the tail like ink running out
+  ink: {
+    maxTrail: 40,
+    minWidth: 1.5,
+    maxWidth: 11,
+    thinning: 2.5, // width lost per px/ms of speed
+    trailIdleTimeout: 250,
+    trailFadeDuration: 600,
+
+    addPoint(point, previous) {
+      const width = previous
+        ? this.maxWidth - this.thinning * speedBetween(previous, point)
+        : this.maxWidth;
+      // Ease towards the new width so the stroke doesn't jump.
+      const target = Math.max(this.minWidth, Math.min(this.maxWidth, width));
+      point.width = previous ? previous.width + (target - previous.width) * 0.4 : target;
+    },
+
+    draw(ctx, points, fade) {
+      ctx.lineCap = "round";
+      ctx.lineJoin = "round";
+      ctx.globalAlpha = 0.85 * (1 - fade);
+
+      // Curve through the midpoints for a smooth, hand-drawn line.
+      for (let i = 2; i < points.length; i++) {
+        const p0 = points[i - 2];
+        const p1 = points[i - 1];
+        const p2 = points[i];
+        const taper = i / points.length;
+
+        ctx.lineWidth = p1.width * taper;
+        ctx.beginPath();
+        ctx.moveTo((p0.x + p1.x) / 2, (p0.y + p1.y) / 2);
+        ctx.quadraticCurveTo(p1.x, p1.y, (p1.x + p2.x) / 2, (p1.y + p2.y) / 2);
+        ctx.stroke();
+      }
+    },
+  },
+};
+
+/**
+ * Pointer speed between two trail points, in px per ms
+ */
+function speedBetween(a, b) {
+  const elapsed = Math.max(b.time - a.time, 1);
+  return Math.hypot(b.x - a.x, b.y - a.y) / elapsed;
+}
+
+/**
+ * Draw the configured effect after the pointer (mouse, pen, or a finger
+ * dragging on touch screens), with a nav toggle to switch it off.
+ *
+ * The animation loop only runs while there is a trail on screen: it
+ * starts on the first movement and stops once the trail has faded out,
+ * so an idle page (or a hidden tab) costs nothing. The canvas is sized
+ * in device pixels to stay sharp on HiDPI screens, the color comes from
+ * --color-trail in theme.css, and the whole effect is off while the
+ * visitor prefers reduced motion.
+ *
+ * options.effect names one of trailEffects ("ribbon" by default), or is
+ * null for no effect at all.
+ */
+function initTrailEffects(root, { effect: effectName = "ribbon" } = {}, signal) {
+  const canvas = root.querySelector("#trailCanvas");
+  const toggle = root.querySelector("#effectsToggle");
+  if (!canvas || !effectName) return;
+
+  let effect = trailEffects[effectName];
+  if (!effect) {
+    console.warn(`Unknown trail effect "${effectName}"; using ribbon.`);
+    effect = trailEffects.ribbon;
+  }
+
+  const ctx = canvas.getContext("2d");
+  const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+  let enabled = localStorage.getItem(EFFECTS_STORAGE_KEY) !== "off";
+  let points = [];
+  let lastMove = 0;
+  let frame = null;
+  let color = "";
+
+  function resize() {
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(window.innerWidth * dpr);
+    canvas.height = Math.round(window.innerHeight * dpr);
+    // Draw in CSS pixels; the transform scales them up to device pixels.
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  function clear() {
+    ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+  }
+
+  function stop() {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    points = [];
+    clear();
+  }
+
+  function draw(now) {
+    clear();
+
+    const idle = now - lastMove;
+    let fadeProgress = 0;
+    if (idle > effect.trailIdleTimeout) {
+      fadeProgress = Math.min(
+        (idle - effect.trailIdleTimeout) / effect.trailFadeDuration,
+        1
+      );
+    }
+
+    // Fully faded: stop until the pointer moves again.
+    if (fadeProgress >= 1) {
+      frame = null;
+      points = [];
+      return;
+    }
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    effect.draw(ctx, points, fadeProgress, now);
+    ctx.globalAlpha = 1;
+
+    frame = requestAnimationFrame(draw);
+  }
+
+  function handlePointerMove(e) {
+    if (!enabled || !e.isPrimary || reducedMotion.matches) return;
+
+    lastMove = performance.now();
+    const point = { x: e.clientX, y: e.clientY, time: lastMove };
+    if (effect.addPoint) effect.addPoint(point, points[points.length - 1]);
+    points.push(point);
+    if (points.length > effect.maxTrail) {
+      points.shift();
+    }
+
+    if (frame === null) {
+      // Read once per stroke, so a theme change applies to the next one.
+      color =
+        getComputedStyle(document.documentElement)
+          .getPropertyValue("--color-trail")
+          .trim() || "red";
+      frame = requestAnimationFrame(draw);
+    }
+  }
+
+  function setEnabled(on) {
+    enabled = on;
+    if (!on) stop();
+    if (toggle) toggle.setAttribute("aria-pressed", String(on));
+    localStorage.setItem(EFFECTS_STORAGE_KEY, on ? "on" : "off");
+  }
+
+  if (toggle) {
+    toggle.setAttribute("aria-pressed", String(enabled));
+    toggle.addEventListener("click", () => setEnabled(!enabled), { signal });
+    toggle.closest(".effects-switch").hidden = false;
+  }
+
+  resize();
+  window.addEventListener("resize", resize, { signal });
+  window.addEventListener("pointermove", handlePointerMove, {
+    passive: true,
+    signal,
+  });
+
+  document.addEventListener(
+    "visibilitychange",
+    () => {
+      if (document.hidden) stop();
+    },
+    { signal }
+  );
+
+  reducedMotion.addEventListener(
+    "change",
+    () => {
+      if (reducedMotion.matches) stop();
+    },
+    { signal }
+  );
+
+  signal.addEventListener("abort", () => {
+    stop();
+    if (toggle) toggle.closest(".effects-switch").hidden = true;
+  });
+}
+
+export const { init, destroy } = defineFeature(initTrailEffects);
@@ -1,398 +1,461 @@
 // ==========================================================================
-// LANGUAGE SWITCHER (EN / ES)
+// TRANSLATIONS
 // ==========================================================================
-// Every translatable piece of text lives in the `translations` dictionary
-// below, keyed by the string used in each element's data-i18n attribute.
-// data-i18n        -> element.innerHTML
+// Every translatable piece of text lives in a per-language JSON file under
+// assets/locales/ (en.json, es.json, ...), keyed by the string used in
+// each element's data-i18n attribute.
+// data-i18n        -> element.textContent (innerHTML for keys ending in Html)
 // data-i18n-placeholder -> element.placeholder
 // data-i18n-aria    -> element aria-label attribute
+// data-i18n-alt     -> element alt attribute (images)
+// data-i18n-args    -> JSON values for the string's {placeholders}
+//
+// Strings are written as plain text by default. Only keys whose name
+// ends in "Html" (e.g. "contact.textHtml") may contain markup, and any
+// values interpolated into them are escaped.
+//
+// Placeholders: {name} inserts a value (numbers are formatted for the
+// language), {name, number} forces number formatting, and
+// {name, date} / {name, date, short} formats a date or ISO string.
+// A value can also be an object of plural forms, chosen by args.count
+// with Intl.PluralRules, e.g.
+//   { "=0": "No projects", "one": "{count} project", "other": "{count} projects" }
+//
+// assets/locales/index.json is the registry of available languages: it
+// builds the .lang-option menu and names the default language, so adding
+// a language means adding its JSON file and one registry entry. Locale
+// files are only fetched the first time they're needed.
+//
+// Lookups fall back key by key along the language's chain, e.g.
+// pt-BR -> pt -> en, so a partial translation still shows every string.
+// Each key missing from the requested language is reported once in the
+// console instead of silently leaving the previous language's text.
+//
+// Project titles and descriptions are not listed here: they live in
+// assets/data/projects.json and the project catalog registers them with
+// addTranslations() once it has loaded.
+//
+// Every language switch (including the first one on load) is announced
+// on `document` as "i18n:change" (detail: { lang }), after the page has
+// been translated, for features that derive state from the text.
 //
 // The chosen language is stored in localStorage on the visitor's own
 // browser (per-visitor, not tied to any one machine), so it works the
 // same wherever this site ends up hosted.
+//
+// On the first visit the language is negotiated, in order, from:
+// an explicit ?lang= in the URL, the saved preference, then the
+// browser's navigator.languages, then the registry default. Switching
+// language writes ?lang= back into the URL so the link can be shared,
+// and <link rel="alternate" hreflang> tags point crawlers at each one.
+//
+// scripts/prerender.mjs can also render each language into its own page
+// (es/index.html, ...). Those pages mark <html data-i18n-page="es">, which
+// wins over everything but ?lang=, and the alternate links it writes into
+// the <head> turn the menu entries into links between the pages.
+//
+// This module only holds the dictionaries and the lookups; the menu in
+// the nav and the negotiation on load are the language switcher feature
+// (features/language-switcher.js). Nothing here touches the page until
+// one of its functions is called, so scripts/prerender.mjs can import it
+// in Node.
 // ==========================================================================
 
-const translations = {
-  en: {
-    "meta.title": "Portfolio Artístico Marina Garre",
-    "meta.description":
-      "Marina Garre — Freelance illustrator and graphic designer. Traditional and digital illustration, graphic design, and photography portfolio.",
-
-    "nav.logo": "ARTISTIC PORTFOLIO",
-    "nav.toggleAria": "Open navigation menu",
-    "nav.home": "Home",
-    "nav.about": "About Me",
-    "nav.projects": "Projects",
-    "nav.contact": "Contact",
-
-    "hero.subtitle": "Freelance Artist",
-    "hero.cta": "View My Work",
-    "hero.scroll": "Scroll",
-
-    "about.title": "About Me",
-    "about.text":
-      "I've been drawing for about 7 years now, both for fun and to keep improving my skills. I studied Graphic Design and Illustration, and I love creating characters, exploring different styles, and making fanart. My goal is to grow as an artist and eventually work in illustration and concept art.",
-    "studies.title": "Studies",
-    "studies.completed": "Completed",
-
-    "projects.title": "Featured Projects",
-    "projects.filtersAria": "Project filters",
-    "projects.filter.all": "All",
-    "projects.filter.traditional": "Traditional Art",
-    "projects.filter.digital": "Digital Art",
-    "projects.filter.graphic": "Graphic Design",
-    "projects.filter.photography": "Photography",
-
-    "nav.services": "Services",
-    "services.title": "Services",
-    "services.intro":
-      "Here's an overview of everything I can help you with. Get in touch for a personalized quote.",
-    "services.cat.brand": "Brand Identity",
-    "services.brand.1": "Logo design",
-    "services.brand.2": "Brand identity manuals (colors, typography, usage)",
-    "services.brand.3": "Corporate stationery (business cards, envelopes, folders...)",
-    "services.brand.4": "Naming & visual branding",
-    "services.cat.marketing": "Advertising & Marketing",
-    "services.marketing.1": "Brochures & flyers (2-sided)",
-    "services.marketing.2": "Bifolds & trifolds (4 or 6 panels)",
-    "services.marketing.3": "Social media management (Instagram, Facebook, X...)",
-    "services.marketing.4": "Print & digital ads",
-    "services.marketing.5": "Vehicle signage for businesses",
-    "services.cat.stationery": "Stationery & Events",
-    "services.stationery.1": "Event invitations (weddings, birthdays, openings...)",
-    "services.stationery.2": "Restaurant menus",
-    "services.stationery.3": "Merchandise (mugs, t-shirts, stickers...)",
-    "services.cat.multimedia": "Multimedia",
-    "services.multimedia.1": "WhatsApp/Telegram stickers",
-    "services.multimedia.2": "Product mockups",
-    "services.multimedia.3": "Video thumbnails",
-    "services.cat.editorial": "Editorial Design",
-    "services.editorial.1": "Cover design",
-    "services.editorial.2": "Layout & typesetting",
-    "services.editorial.3": "Magazines",
-    "services.editorial.4": "Catalogs",
-    "services.cat.illustration": "Illustration",
-    "services.illustration.1": "Editorial illustration (books, magazines...)",
-    "services.illustration.2": "Social media illustration",
-    "services.illustration.3": "Custom portraits (people, pets...)",
-    "services.illustration.4": "Children's illustration",
-    "services.illustration.5": "Character design & brand mascots",
-    "services.cat.digital": "Digital Design",
-    "services.digital.1": "Presentations (Canva)",
-    "services.digital.2": "Infographics",
-    "services.digital.3": "Simple animations for posts",
-    "services.digital.4": "Favicons & brand iconography",
-    "services.cat.photography": "Photography",
-    "services.photography.1": "Photo retouching & editing",
-    "services.photography.2": "Social media content sessions",
-    "services.photography.3": "Interior/space photography",
-    "services.photography.4": "Corporate event photography",
-    "services.photography.5": "Editorial photography (books, magazines, posters...)",
-    "services.photography.6": "Composition & photo compositing",
-
-    "proj-itomori-title": "\"Itomori (Kimi No Na Wa)\"",
-    "proj-itomori-desc": "Graphite on paper.",
-    "proj-itomori-aria": "Project: Itomori (Kimi No Na Wa), graphite drawing",
-    "proj-objectilike-title": "\"Object I Like\"",
-    "proj-objectilike-desc": "Ink on paper.",
-    "proj-objectilike-aria": "Project: Object I Like, ink drawing",
-    "proj-marmarina-title": "\"MaR & Marina\"",
-    "proj-marmarina-desc": "Graphite on paper.",
-    "proj-marmarina-aria": "Project: MaR & Marina, graphite drawing",
-    "proj-eastside-title": "\"Eastside (Sayra Splatoon)\"",
-    "proj-eastside-desc": "Graphite on paper.",
-    "proj-eastside-aria": "Project: Eastside (Sayra Splatoon), graphite drawing",
-    "proj-shy-title": "\"Do you like being a good person!?\"",
-    "proj-shy-desc": "Procreate fanart.",
-    "proj-shy-aria": "Project: Do you like being a good person!?, Procreate fanart",
-    "proj-shine-title": "\"Shines on its own\"",
-    "proj-shine-desc": "Procreate fanart.",
-    "proj-shine-aria": "Project: Shines on its own, Procreate fanart",
-    "proj-selfportrait-title": "\"MaR Self-Portrait\"",
-    "proj-selfportrait-desc": "Procreate self-portrait.",
-    "proj-selfportrait-aria": "Project: MaR Self-Portrait, Procreate self-portrait",
-    "proj-heartsound-title": "\"The sound of the heart\"",
-    "proj-heartsound-desc": "Procreate fanart.",
-    "proj-heartsound-aria": "Project: The sound of the heart, Procreate fanart",
-    "proj-magazine-title": "\"Photography Magazine\"",
-    "proj-magazine-desc": "Photoshop magazine.",
-    "proj-magazine-aria": "Project: Photography Magazine, Photoshop layout",
-    "proj-exhibitionposter-title": "\"Photographic Exhibition Poster\"",
-    "proj-exhibitionposter-desc": "Photoshop poster.",
-    "proj-exhibitionposter-aria":
-      "Project: Photographic Exhibition Poster, Photoshop poster",
-    "proj-gameposters-title":
-      "\"Video Game Posters Based on the Fundamentals of Graphic Design\"",
-    "proj-gameposters-desc": "Procreate posters.",
-    "proj-gameposters-aria":
-      "Project: Video Game Posters Based on the Fundamentals of Graphic Design, Procreate posters",
-    "proj-hotwheels-title":
-      "\"Product photo Hotwheels x Initial D collaboration\"",
-    "proj-hotwheels-desc": "Procreate and Photoshop poster.",
-    "proj-hotwheels-aria":
-      "Project: Product photo Hotwheels x Initial D collaboration, Procreate and Photoshop poster",
-    "proj-civicfront34-title": "\"Dreams Come True — Front Three-Quarter\"",
-    "proj-civicfront34-desc":
-      "Canon EOS2000D and Photoshop car photoshoot, front three-quarter angle.",
-    "proj-civicfront34-aria":
-      "Project: Dreams Come True — Front Three-Quarter View, car photography",
-    "proj-civicrear-title": "\"Dreams Come True — Rear\"",
-    "proj-civicrear-desc":
-      "Canon EOS2000D and Photoshop car photoshoot, rear angle.",
-    "proj-civicrear-aria":
-      "Project: Dreams Come True — Rear View, car photography",
-    "proj-civicfront-title": "\"Dreams Come True — Front\"",
-    "proj-civicfront-desc":
-      "Canon EOS2000D and Photoshop car photoshoot, front angle.",
-    "proj-civicfront-aria":
-      "Project: Dreams Come True — Front View, car photography",
-    "proj-civicrear34-title": "\"Dreams Come True — Rear Three-Quarter\"",
-    "proj-civicrear34-desc":
-      "Canon EOS2000D and Photoshop car photoshoot, rear three-quarter angle.",
-    "proj-civicrear34-aria":
-      "Project: Dreams Come True — Rear Three-Quarter View, car photography",
-
-    "stay.title": "Stay Connected",
-    "stay.text":
-      "Follow me for all my work, and be the first to know when I release a new project.<br />I'd also love for you to check out my full gallery on my ArtStation profile.",
-
-    "contact.title": "Contact",
-    "contact.text":
-      "I'm currently open to commissions, freelance projects, or collaborations.<br />If you're interested in working together, please don't hesitate to message me!",
-    "contact.name": "Name",
-    "contact.email": "Email",
-    "contact.message": "Message",
-    "contact.send": "Send Message",
-
-    "footer.copyright": "© 2025 Marina Garre — Artistic Portfolio.",
-    "footer.backToTop": "Back to top",
-  },
-
-  es: {
-    "meta.title": "Portfolio Artístico Marina Garre",
-    "meta.description":
-      "Marina Garre — Ilustradora y diseñadora gráfica freelance. Portfolio de ilustración tradicional y digital, diseño gráfico y fotografía.",
-
-    "nav.logo": "PORTFOLIO ARTÍSTICO",
-    "nav.toggleAria": "Abrir menú de navegación",
-    "nav.home": "Inicio",
-    "nav.about": "Sobre Mí",
-    "nav.projects": "Proyectos",
-    "nav.contact": "Contacto",
-
-    "hero.subtitle": "Artista Freelance",
-    "hero.cta": "Ver Mi Trabajo",
-    "hero.scroll": "Desplázate",
-
-    "about.title": "Sobre Mí",
-    "about.text":
-      "Llevo unos 7 años dibujando, tanto por diversión como para seguir mejorando. Estudié Diseño Gráfico e Ilustración, y me encanta crear personajes, explorar distintos estilos y hacer fanart. Mi objetivo es seguir creciendo como artista y acabar trabajando en ilustración y concept art.",
-    "studies.title": "Estudios",
-    "studies.completed": "Completado",
-
-    "projects.title": "Proyectos Destacados",
-    "projects.filtersAria": "Filtros de proyectos",
-    "projects.filter.all": "Todos",
-    "projects.filter.traditional": "Arte Tradicional",
-    "projects.filter.digital": "Arte Digital",
-    "projects.filter.graphic": "Diseño Gráfico",
-    "projects.filter.photography": "Fotografía",
-
-    "nav.services": "Servicios",
-    "services.title": "Servicios",
-    "services.intro":
-      "Aquí tienes un resumen de todo en lo que puedo ayudarte. Contáctame para un presupuesto personalizado.",
-    "services.cat.brand": "Identidad de Marca",
-    "services.brand.1": "Diseño de logotipos",
-    "services.brand.2": "Manuales de identidad corporativa (colores, tipografías, usos)",
-    "services.brand.3": "Papelería corporativa (tarjetas, sobres, carpetas...)",
-    "services.brand.4": "Naming y branding visual",
-    "services.cat.marketing": "Publicidad y Marketing",
-    "services.marketing.1": "Folletos y flyers (a doble cara)",
-    "services.marketing.2": "Dípticos y trípticos (4 o 6 caras)",
-    "services.marketing.3": "Gestión de redes sociales (Instagram, Facebook, X...)",
-    "services.marketing.4": "Anuncios impresos y digitales",
-    "services.marketing.5": "Rotulación de vehículos para empresas",
-    "services.cat.stationery": "Papelería y Eventos",
-    "services.stationery.1": "Invitaciones para eventos (bodas, cumpleaños, inauguraciones...)",
-    "services.stationery.2": "Cartas de restaurante",
-    "services.stationery.3": "Merchandising (tazas, camisetas, pegatinas...)",
-    "services.cat.multimedia": "Multimedia",
-    "services.multimedia.1": "Stickers para WhatsApp/Telegram",
-    "services.multimedia.2": "Mockups de producto",
-    "services.multimedia.3": "Miniaturas para vídeos",
-    "services.cat.editorial": "Diseño Editorial",
-    "services.editorial.1": "Diseño de portadas",
-    "services.editorial.2": "Maquetación",
-    "services.editorial.3": "Revistas",
-    "services.editorial.4": "Catálogos",
-    "services.cat.illustration": "Ilustración",
-    "services.illustration.1": "Ilustración editorial (libros, revistas...)",
-    "services.illustration.2": "Ilustración para redes sociales",
-    "services.illustration.3": "Retratos personalizados (personas, mascotas...)",
-    "services.illustration.4": "Ilustración infantil",
-    "services.illustration.5": "Diseño de personajes y mascotas de marca",
-    "services.cat.digital": "Diseño Digital",
-    "services.digital.1": "Presentaciones (Canva)",
-    "services.digital.2": "Infografías",
-    "services.digital.3": "Animaciones sencillas para publicaciones",
-    "services.digital.4": "Favicons e iconografía de marca",
-    "services.cat.photography": "Fotografía",
-    "services.photography.1": "Retoque y edición fotográfica",
-    "services.photography.2": "Sesiones de contenido para redes sociales",
-    "services.photography.3": "Fotografía de espacios e interiores",
-    "services.photography.4": "Fotografía de eventos corporativos",
-    "services.photography.5": "Fotografía editorial (libros, revistas, carteles...)",
-    "services.photography.6": "Composición y montaje fotográfico",
-
-    "proj-itomori-title": "\"Itomori (Kimi No Na Wa)\"",
-    "proj-itomori-desc": "Grafito sobre papel.",
-    "proj-itomori-aria": "Proyecto: Itomori (Kimi No Na Wa), dibujo a grafito",
-    "proj-objectilike-title": "\"Un Objeto Que Me Gusta\"",
-    "proj-objectilike-desc": "Tinta sobre papel.",
-    "proj-objectilike-aria": "Proyecto: Object I Like, dibujo a tinta",
-    "proj-marmarina-title": "\"MaR & Marina\"",
-    "proj-marmarina-desc": "Grafito sobre papel.",
-    "proj-marmarina-aria": "Proyecto: MaR & Marina, dibujo a grafito",
-    "proj-eastside-title": "\"Eastside (Sayra Splatoon)\"",
-    "proj-eastside-desc": "Grafito sobre papel.",
-    "proj-eastside-aria": "Proyecto: Eastside (Sayra Splatoon), dibujo a grafito",
-    "proj-shy-title": "\"¿Te Gusta Ser Buena Persona?!\"",
-    "proj-shy-desc": "Fanart hecho en Procreate.",
-    "proj-shy-aria": "Proyecto: Do you like being a good person!?, fanart hecho en Procreate",
-    "proj-shine-title": "\"Brilla Con Luz Propia\"",
-    "proj-shine-desc": "Fanart hecho en Procreate.",
-    "proj-shine-aria": "Proyecto: Shines on its own, fanart hecho en Procreate",
-    "proj-selfportrait-title": "\"Autorretrato de MaR\"",
-    "proj-selfportrait-desc": "Autorretrato hecho en Procreate.",
-    "proj-selfportrait-aria": "Proyecto: MaR Self-Portrait, autorretrato hecho en Procreate",
-    "proj-heartsound-title": "\"El Sonido del Corazón\"",
-    "proj-heartsound-desc": "Fanart hecho en Procreate.",
-    "proj-heartsound-aria": "Proyecto: The sound of the heart, fanart hecho en Procreate",
-    "proj-magazine-title": "\"Revista de Fotografía\"",
-    "proj-magazine-desc": "Revista maquetada en Photoshop.",
-    "proj-magazine-aria": "Proyecto: Photography Magazine, maquetación hecha en Photoshop",
-    "proj-exhibitionposter-title": "\"Cartel de Exposición Fotográfica\"",
-    "proj-exhibitionposter-desc": "Póster diseñado en Photoshop.",
-    "proj-exhibitionposter-aria":
-      "Proyecto: Photographic Exhibition Poster, póster diseñado en Photoshop",
-    "proj-gameposters-title":
-      "\"Carteles de Videojuegos Basados en los Fundamentos del Diseño Gráfico\"",
-    "proj-gameposters-desc": "Pósters hechos en Procreate.",
-    "proj-gameposters-aria":
-      "Proyecto: Video Game Posters Based on the Fundamentals of Graphic Design, pósters hechos en Procreate",
-    "proj-hotwheels-title":
-      "\"Foto de Producto: Colaboración Hotwheels x Initial D\"",
-    "proj-hotwheels-desc": "Póster hecho con Procreate y Photoshop.",
-    "proj-hotwheels-aria":
-      "Proyecto: Product photo Hotwheels x Initial D collaboration, póster hecho con Procreate y Photoshop",
-    "proj-civicfront34-title": "\"Dreams Come True — Frontal Tres Cuartos\"",
-    "proj-civicfront34-desc":
-      "Sesión de fotos de coche con Canon EOS2000D y Photoshop, ángulo frontal tres cuartos.",
-    "proj-civicfront34-aria":
-      "Proyecto: Dreams Come True — vista frontal tres cuartos, fotografía de coche",
-    "proj-civicrear-title": "\"Dreams Come True — Trasera\"",
-    "proj-civicrear-desc":
-      "Sesión de fotos de coche con Canon EOS2000D y Photoshop, ángulo trasero.",
-    "proj-civicrear-aria":
-      "Proyecto: Dreams Come True — vista trasera, fotografía de coche",
-    "proj-civicfront-title": "\"Dreams Come True — Frontal\"",
-    "proj-civicfront-desc":
-      "Sesión de fotos de coche con Canon EOS2000D y Photoshop, ángulo frontal.",
-    "proj-civicfront-aria":
-      "Proyecto: Dreams Come True — vista frontal, fotografía de coche",
-    "proj-civicrear34-title": "\"Dreams Come True — Trasera Tres Cuartos\"",
-    "proj-civicrear34-desc":
-      "Sesión de fotos de coche con Canon EOS2000D y Photoshop, ángulo trasero tres cuartos.",
-    "proj-civicrear34-aria":
-      "Proyecto: Dreams Come True — vista trasera tres cuartos, fotografía de coche",
-
-    "stay.title": "Mantente Conectado",
-    "stay.text":
-      "Sígueme para ver todo mi trabajo y entérate antes que nadie de mis nuevos proyectos.<br />Además, échale un vistazo a mi galería completa en mi perfil de ArtStation.",
-
-    "contact.title": "Contacto",
-    "contact.text":
-      "Estoy abierta a encargos, proyectos freelance o colaboraciones.<br />Si te interesa que trabajemos juntos, no dudes en escribirme.",
-    "contact.name": "Nombre",
-    "contact.email": "Correo electrónico",
-    "contact.message": "Mensaje",
-    "contact.send": "Enviar Mensaje",
-
-    "footer.copyright": "© 2025 Marina Garre — Portfolio Artístico.",
-    "footer.backToTop": "Volver arriba",
-  },
-};
-
-const LANG_STORAGE_KEY = "portfolioLang";
-
-function setLanguage(lang) {
-  const dict = translations[lang] || translations.en;
-
-  document.documentElement.lang = lang;
-  document.title = dict["meta.title"];
-  const metaDescription = document.querySelector('meta[name="description"]');
-  if (metaDescription) metaDescription.setAttribute("content", dict["meta.description"]);
+export const LANG_STORAGE_KEY = "portfolioLang";
+
+// Resolved against this module's own URL, not the page's, so pages in
+// subfolders find the locale files too.
+const LOCALES_URL = new URL("../locales/", import.meta.url);
+
+let registry = null; // { default, locales: [{ code, label }] }
+let registryRequest = null;
+
+const translations = {}; // code -> dictionary loaded from its JSON file
+const runtimeTranslations = {}; // code -> strings from addTranslations()
+const localeRequests = {}; // code -> pending/settled fetch
+const reportedMissing = new Set();
+
+let currentLang = null;
+let currentChain = [];
+let languageRequest = 0;
+
+/**
+ * Fetch assets/locales/index.json once; resolves with the registry. A
+ * failed fetch isn't kept, so the next call tries again.
+ */
+export function loadRegistry() {
+  if (!registryRequest) {
+    registryRequest = fetch(new URL("index.json", LOCALES_URL))
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((data) => (registry = data))
+      .catch((err) => {
+        registryRequest = null;
+        throw err;
+      });
+  }
+  return registryRequest;
+}
 
-  document.querySelectorAll("[data-i18n]").forEach((el) => {
-    const key = el.getAttribute("data-i18n");
-    if (dict[key] !== undefined) el.innerHTML = dict[key];
-  });
+export function loadLocale(code) {
+  if (!localeRequests[code]) {
+    localeRequests[code] = fetch(new URL(`${code}.json`, LOCALES_URL))
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((dict) => (translations[code] = dict))
+      .catch((err) => {
+        // Let the rest of the chain cover for it, and retry next time.
+        console.error(`Could not load locale "${code}":`, err);
+        delete localeRequests[code];
+      });
+  }
+  return localeRequests[code];
+}
 
-  document.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
-    const key = el.getAttribute("data-i18n-placeholder");
-    if (dict[key] !== undefined) el.setAttribute("placeholder", dict[key]);
-  });
+/**
+ * The registry's spelling of `code` (matched case-insensitively), or null
+ */
+function findLocale(code) {
+  const lower = String(code).toLowerCase();
+  const match = registry.locales.find((l) => l.code.toLowerCase() === lower);
+  return match ? match.code : null;
+}
 
-  document.querySelectorAll("[data-i18n-aria]").forEach((el) => {
-    const key = el.getAttribute("data-i18n-aria");
-    if (dict[key] !== undefined) el.setAttribute("aria-label", dict[key]);
-  });
+/**
+ * The registered language closest to `lang`: itself, then its base
+ * language ("pt-BR" -> "pt"), or null if neither is available.
+ */
+function matchLanguage(lang) {
+  if (!lang) return null;
+  return findLocale(lang) || findLocale(lang.split("-")[0]);
+}
 
-  document.querySelectorAll(".lang-option").forEach((opt) => {
-    opt.classList.toggle("active", opt.dataset.lang === lang);
+function resolveLanguage(lang) {
+  return matchLanguage(lang) || registry.default;
+}
+
+/**
+ * The language this page was prerendered in, or null for index.html
+ */
+function pageLanguage() {
+  return document.documentElement.dataset.i18nPage || null;
+}
+
+/**
+ * Languages with a prerendered page, read from the static <link
+ * rel="alternate" hreflang> tags scripts/prerender.mjs writes.
+ */
+export function staticLanguages() {
+  const links = document.querySelectorAll(
+    'link[rel="alternate"][hreflang]:not([data-i18n-alternate])'
+  );
+  return new Set(
+    [...links].map((link) => findLocale(link.hreflang)).filter(Boolean)
+  );
+}
+
+/**
+ * URL of the prerendered page for `code`, relative to this one: the
+ * default language is index.html at the root, the rest live in <code>/.
+ */
+export function staticPageUrl(code) {
+  const root = pageLanguage() ? "../" : "./";
+  const url = new URL(code === registry.default ? root : `${root}${code}/`, location.href);
+  url.hash = location.hash;
+  return url;
+}
+
+/**
+ * The starting language: ?lang=, then the page's own language if it was
+ * prerendered, then the saved preference, then the first of the browser's
+ * preferred languages we have, then the default.
+ */
+export function negotiateLanguage() {
+  const candidates = [
+    new URLSearchParams(location.search).get("lang"),
+    pageLanguage(),
+    localStorage.getItem(LANG_STORAGE_KEY),
+    ...(navigator.languages || [navigator.language]),
+  ];
+  for (const candidate of candidates) {
+    const match = matchLanguage(candidate);
+    if (match) return match;
+  }
+  return registry.default;
+}
+
+/**
+ * This page's URL with ?lang= set to `code`, or removed when null
+ */
+function languageUrl(code) {
+  const url = new URL(location.href);
+  if (code) {
+    url.searchParams.set("lang", code);
+  } else {
+    url.searchParams.delete("lang");
+  }
+  return url;
+}
+
+/**
+ * One <link rel="alternate" hreflang> per registered language, plus
+ * x-default for the negotiated (param-less) URL. Left alone when the
+ * page already lists its prerendered versions.
+ */
+function updateAlternateLinks() {
+  if (staticLanguages().size) return;
+
+  document
+    .querySelectorAll('link[rel="alternate"][data-i18n-alternate]')
+    .forEach((link) => link.remove());
+
+  const entries = registry.locales.map(({ code }) => [code, languageUrl(code)]);
+  entries.push(["x-default", languageUrl(null)]);
+
+  entries.forEach(([hreflang, url]) => {
+    url.hash = "";
+    const link = document.createElement("link");
+    link.rel = "alternate";
+    link.hreflang = hreflang;
+    link.href = url.href;
+    link.setAttribute("data-i18n-alternate", "");
+    document.head.appendChild(link);
   });
+}
 
-  const currentLabel = document.querySelector(".lang-current");
-  if (currentLabel) currentLabel.textContent = lang.toUpperCase();
+/**
+ * "pt-BR" -> ["pt-BR", "pt", "en"], keeping only registered languages
+ */
+export function fallbackChain(lang) {
+  const parts = lang.split("-");
+  const chain = [];
+  for (let i = parts.length; i > 0; i--) {
+    chain.push(findLocale(parts.slice(0, i).join("-")));
+  }
+  chain.push(registry.default);
+  return [...new Set(chain.filter(Boolean))];
+}
+
+function reportMissing(key, lang, usedLang) {
+  const id = `${lang}:${key}`;
+  if (reportedMissing.has(id)) return;
+  reportedMissing.add(id);
+
+  if (usedLang) {
+    console.warn(`[i18n] "${key}" is missing in ${lang}; using ${usedLang}.`);
+  } else {
+    console.warn(`[i18n] "${key}" is missing in ${lang} and its fallbacks.`);
+  }
+}
 
-  localStorage.setItem(LANG_STORAGE_KEY, lang);
+/**
+ * Find `key` along `chain`, reporting it if the first language lacks it
+ */
+function lookup(key, chain = currentChain) {
+  for (const code of chain) {
+    const runtime = runtimeTranslations[code];
+    const dict = translations[code];
+    const value =
+      runtime && runtime[key] !== undefined ? runtime[key] : dict && dict[key];
+
+    if (value !== undefined) {
+      if (code !== chain[0]) reportMissing(key, chain[0], code);
+      return value;
+    }
+  }
+  if (chain.length) reportMissing(key, chain[0], null);
+  return undefined;
 }
 
-document.addEventListener("DOMContentLoaded", () => {
-  const savedLang = localStorage.getItem(LANG_STORAGE_KEY);
-  setLanguage(savedLang === "es" ? "es" : "en");
+export function isHtmlKey(key) {
+  return key.endsWith("Html");
+}
 
-  const toggleBtn = document.getElementById("langToggleBtn");
-  const dropdown = document.getElementById("langDropdown");
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-  function closeDropdown() {
-    dropdown.classList.remove("open");
-    toggleBtn.setAttribute("aria-expanded", "false");
+function formatArg(value, type, style, lang) {
+  if (type === "date") {
+    return new Intl.DateTimeFormat(lang, { dateStyle: style || "long" }).format(
+      new Date(value)
+    );
   }
+  if (type === "number" || typeof value === "number") {
+    return new Intl.NumberFormat(lang).format(value);
+  }
+  return String(value);
+}
 
-  function openDropdown() {
-    dropdown.classList.add("open");
-    toggleBtn.setAttribute("aria-expanded", "true");
+/**
+ * Turn a dictionary value into final text for `lang`: pick the plural
+ * form for args.count, then fill in the {placeholders}.
+ */
+function formatMessage(value, args, lang, html) {
+  if (value !== null && typeof value === "object") {
+    const count = Number(args.count);
+    const form = new Intl.PluralRules(lang).select(count);
+    value = value[`=${count}`] ?? value[form] ?? value.other;
   }
 
-  toggleBtn.addEventListener("click", (e) => {
-    e.stopPropagation();
-    dropdown.classList.contains("open") ? closeDropdown() : openDropdown();
+  return String(value).replace(
+    /\{(\w+)(?:,\s*(number|date)(?:,\s*(\w+))?)?\}/g,
+    (placeholder, name, type, style) => {
+      if (!(name in args)) return placeholder;
+      const text = formatArg(args[name], type, style, lang);
+      return html ? escapeHtml(text) : text;
+    }
+  );
+}
+
+/**
+ * Look up and format `key`, or undefined if no language in `chain` has it
+ */
+export function translate(key, args = {}, chain = currentChain) {
+  const value = lookup(key, chain);
+  if (value === undefined) return undefined;
+  return formatMessage(value, args, chain[0], isHtmlKey(key));
+}
+
+/**
+ * The element's data-i18n-args, parsed
+ */
+function readArgs(el) {
+  const raw = el.getAttribute("data-i18n-args");
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn("[i18n] Invalid data-i18n-args on", el, err);
+    return {};
+  }
+}
+
+/**
+ * Merge extra strings into a language's dictionary at runtime. Used to
+ * register the per-project titles/descriptions that live in the project
+ * catalog rather than in the locale files.
+ */
+export function addTranslations(lang, entries) {
+  runtimeTranslations[lang] = Object.assign(
+    runtimeTranslations[lang] || {},
+    entries
+  );
+}
+
+/**
+ * Look up a single string, e.g. for text a feature builds in JavaScript
+ * rather than in the markup, filling in `args` the same way
+ * data-i18n-args does. Falls back along the chain, then to the key.
+ */
+export function t(key, args = {}, lang = currentLang) {
+  if (!registry || !lang) return key;
+  const text = translate(key, args, fallbackChain(lang));
+  return text !== undefined ? text : key;
+}
+
+/**
+ * Apply the active dictionary to every data-i18n* element inside `root`.
+ * setLanguage() runs this on the whole document; features run it on the
+ * nodes they generate after the language has already been set.
+ */
+export function applyTranslations(root = document) {
+  if (!currentLang) return;
+
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    const key = el.getAttribute("data-i18n");
+    const text = translate(key, readArgs(el));
+    if (text === undefined) return;
+    if (isHtmlKey(key)) {
+      el.innerHTML = text;
+    } else {
+      el.textContent = text;
+    }
   });
 
-  document.querySelectorAll(".lang-option").forEach((opt) => {
-    opt.addEventListener("click", () => {
-      setLanguage(opt.dataset.lang);
-      closeDropdown();
-    });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+    const text = translate(el.getAttribute("data-i18n-placeholder"), readArgs(el));
+    if (text !== undefined) el.setAttribute("placeholder", text);
   });
 
-  document.addEventListener("click", (e) => {
-    if (!dropdown.contains(e.target) && e.target !== toggleBtn) closeDropdown();
+  root.querySelectorAll("[data-i18n-aria]").forEach((el) => {
+    const text = translate(el.getAttribute("data-i18n-aria"), readArgs(el));
+    if (text !== undefined) el.setAttribute("aria-label", text);
   });
 
-  document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") closeDropdown();
+  root.querySelectorAll("[data-i18n-alt]").forEach((el) => {
+    const text = translate(el.getAttribute("data-i18n-alt"), readArgs(el));
+    if (text !== undefined) el.setAttribute("alt", text);
   });
-});
+}
+
+/**
+ * Switch the page to `lang` (or the closest registered language),
+ * fetching its locale file and fallbacks first if needed. Unless
+ * `updateUrl` is false, ?lang= in the address bar follows along. If the
+ * language's own locale file can't be loaded, it rejects and the page
+ * stays in its current language.
+ *
+ * Pages that only borrow the visitor's language (404.html, offline.html)
+ * pass `persist: false`, so the choice isn't saved as their preference,
+ * and `alternates: false`, so no hreflang links point at their address.
+ */
+export async function setLanguage(
+  lang,
+  { updateUrl = true, persist = true, alternates = true } = {}
+) {
+  // If the visitor switches again while files are loading, only the
+  // latest choice gets applied.
+  const request = ++languageRequest;
+
+  await loadRegistry();
+  const code = resolveLanguage(lang);
+  const chain = fallbackChain(code);
+  await Promise.all(chain.map(loadLocale));
+  if (request !== languageRequest) return;
+  // Switching anyway would label the page `code` while showing only its
+  // fallbacks
+  if (!translations[code]) throw new Error(`No strings for "${code}"`);
+
+  currentLang = code;
+  currentChain = chain;
+
+  document.documentElement.lang = code;
+  // Pages other than the portfolio itself (404.html) name their own
+  // title key in <html data-i18n-title>
+  document.title = translate(
+    document.documentElement.dataset.i18nTitle || "meta.title"
+  );
+  const metaDescription = document.querySelector('meta[name="description"]');
+  if (metaDescription) metaDescription.setAttribute("content", translate("meta.description"));
+
+  applyTranslations(document);
+
+  document.querySelectorAll(".lang-option").forEach((opt) => {
+    opt.classList.toggle("active", opt.dataset.lang === code);
+  });
+
+  const currentLabel = document.querySelector(".lang-current");
+  if (currentLabel) currentLabel.textContent = code.toUpperCase();
+
+  if (persist) localStorage.setItem(LANG_STORAGE_KEY, code);
+
+  // A prerendered page already names its own language.
+  if (updateUrl) {
+    const param = code === pageLanguage() ? null : code;
+    history.replaceState(history.state, "", languageUrl(param));
+  }
+  if (alternates) updateAlternateLinks();
+
+  document.dispatchEvent(
+    new CustomEvent("i18n:change", { detail: { lang: code } })
+  );
+}
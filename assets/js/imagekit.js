@@ -0,0 +1,100 @@
+// ==========================================================================
+// IMAGEKIT URLS
+// ==========================================================================
+// The project images are served by ImageKit, which resizes them on the
+// fly from the `tr` query parameter (?tr=w-1600,q-80: 1600px wide at
+// quality 80). The catalog only lists one size per image; these helpers
+// derive the others from it. URLs from anywhere else are left alone.
+// ==========================================================================
+
+// Widths offered in a srcset, as multiples of the width in the URL
+const SRCSET_SCALES = [0.5, 1, 1.5, 2];
+
+// Requested widths are rounded up to a multiple of this, so visitors
+// with similar screens share the same cached files
+const WIDTH_STEP = 200;
+
+// What relative URLs resolve against: the page, or nothing when
+// scripts/prerender.mjs runs this in Node (the catalog's URLs are absolute)
+const BASE_URL = globalThis.location?.href;
+
+/**
+ * The transforms in `url` as an object ({ w: "1600", q: "80" }), or null
+ * if it isn't an ImageKit URL
+ */
+export function parseTransforms(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, BASE_URL);
+  } catch {
+    return null;
+  }
+  if (!parsed.hostname.endsWith("imagekit.io")) return null;
+
+  const transforms = {};
+  // Chained transforms (a:b) aren't used here; only the first step counts
+  const [first = ""] = (parsed.searchParams.get("tr") || "").split(":");
+  first
+    .split(",")
+    .filter(Boolean)
+    .forEach((part) => {
+      const [key, ...value] = part.split("-");
+      transforms[key] = value.join("-");
+    });
+  return transforms;
+}
+
+/**
+ * `url` with its transforms updated from `changes` (e.g. { w: 800 }); a
+ * null value drops that transform. Non-ImageKit URLs come back as is.
+ */
+export function withTransforms(url, changes) {
+  const transforms = parseTransforms(url);
+  if (!transforms) return url;
+
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value == null) delete transforms[key];
+    else transforms[key] = String(value);
+  });
+  const parsed = new URL(url, BASE_URL);
+  const tr = Object.entries(transforms)
+    .map(([key, value]) => `${key}-${value}`)
+    .join(",");
+  // Built by hand: URLSearchParams would escape the commas
+  parsed.search = "";
+  return tr ? `${parsed.href}?tr=${tr}` : parsed.href;
+}
+
+/**
+ * A srcset for `url` around the width it asks for (half, the same, one
+ * and a half and twice as wide), or "" if it has no ImageKit width
+ */
+export function srcsetFor(url) {
+  const width = Number(parseTransforms(url)?.w);
+  if (!width) return "";
+  return SRCSET_SCALES.map((scale) => Math.round(width * scale))
+    .map((w) => `${withTransforms(url, { w })} ${w}w`)
+    .join(", ");
+}
+
+/**
+ * `url` at the width needed to fill `cssWidth` CSS pixels on this
+ * screen (devicePixelRatio included), rounded up to WIDTH_STEP and
+ * capped at `maxWidth`. c-at_max keeps ImageKit from upscaling an
+ * original narrower than that.
+ */
+export function sizedFor(url, cssWidth, maxWidth = Infinity) {
+  if (!parseTransforms(url)) return url;
+  const pixels = cssWidth * (window.devicePixelRatio || 1);
+  const w = Math.min(Math.ceil(pixels / WIDTH_STEP) * WIDTH_STEP, maxWidth);
+  return withTransforms(url, { w, c: "at_max" });
+}
+
+/**
+ * A tiny, blurred copy of `url` to show while the real image loads, or
+ * null if it isn't an ImageKit URL
+ */
+export function placeholderFor(url) {
+  if (!parseTransforms(url)) return null;
+  return withTransforms(url, { w: 32, q: 30, bl: 4 });
+}
@@ -1,505 +1,111 @@
 /**
  * ==========================================================================
  * VANILLA JAVASCRIPT PORTFOLIO
- * Scroll animations using IntersectionObserver
+ * Entry module: registers every feature and mounts them on the page
  * ==========================================================================
  *
- * LEARNING OBJECTIVES:
- * - Understand the IntersectionObserver API for scroll-based triggers
- * - Learn why IntersectionObserver is better than scroll event listeners
- * - Implement accessible animations with prefers-reduced-motion
- * - Master the observer pattern for performant scroll detection
+ * Each feature lives in its own ES module under features/ and exposes
+ * init(root, options) / destroy() (see registry.js). This file only
+ * decides which ones run, in what order and with which options.
  *
- * WHAT IS INTERSECTIONOBSERVER?
- * IntersectionObserver is a browser API that efficiently detects when elements
- * enter or leave the viewport (or any ancestor element). It's the modern
- * replacement for scroll event listeners.
- *
- * WHY NOT USE addEventListener('scroll', ...)?
- * - scroll events fire on EVERY PIXEL of scroll (60+ times per second!)
- * - This blocks the main thread and causes "jank" (stuttering)
- * - IntersectionObserver is optimized by the browser, runs asynchronously,
- *   and only fires when intersection state actually changes
- */
-
-// ==========================================================================
-// 1. INTERSECTIONOBSERVER CONFIGURATION
-// ==========================================================================
-const observerOptions = {
-  root: null, // Use the browser viewport
-  rootMargin: "0px 0px -10% 0px", // Trigger 10% before fully visible
-  threshold: 0.1, // Need 10% visibility to trigger
-};
-
-/**
- * Single-element reveal callback
- * Adds 'visible' class when element enters viewport
- */
-const revealOnScroll = (entries, observer) => {
-  entries.forEach((entry) => {
-    if (entry.isIntersecting) {
-      // Add class that triggers CSS transition.
-      entry.target.classList.add("visible");
-
-      // PERFORMANCE OPTIMIZATION: Stop observing after reveal
-      // Once an element is revealed, we don't need to watch it anymore.
-      // This reduces work for the observer and prevents re-triggering.
-      observer.unobserve(entry.target);
-    }
-  });
-};
-
-/**
- * Staggered container reveal callback
+ * The features are mounted on the whole document as soon as this module
+ * runs (module scripts are deferred, so the markup is already parsed).
+ * A page embedding the portfolio can turn that off with
+ * PORTFOLIO_CONFIG.autoMount = false and mount it on its own container:
+ *   import { mount, unmount } from "./assets/js/main.js";
+ *   await mount(document.querySelector("#portfolio"));
+ *   // ...later
+ *   unmount();
  */
-const revealStaggered = (entries, observer) => {
-  entries.forEach((entry) => {
-    if (entry.isIntersecting) {
-      entry.target.classList.add("revealed");
-      observer.unobserve(entry.target);
-    }
-  });
-};
-
-// Create observer instances
-const singleObserver = new IntersectionObserver(
-  revealOnScroll,
-  observerOptions
-);
-const staggerObserver = new IntersectionObserver(
-  revealStaggered,
-  observerOptions
-);
 
-// ==========================================================================
-// 2. INITIALIZE OBSERVERS
-// ==========================================================================
-function initScrollAnimations() {
-  // Check user's reduced motion preference
-  const prefersReducedMotion = window.matchMedia(
-    "(prefers-reduced-motion: reduce)"
-  ).matches;
-
-  if (prefersReducedMotion) {
-    // Show all content immediately without animations
-    document.querySelectorAll(".animate-on-scroll").forEach((el) => {
-      el.classList.add("visible");
-    });
-    document.querySelectorAll("[data-reveal-stagger]").forEach((el) => {
-      el.classList.add("revealed");
-    });
-    return;
-  }
-
-  // Observe elements for scroll-triggered animations
-  document.querySelectorAll(".animate-on-scroll").forEach((el) => {
-    singleObserver.observe(el);
-  });
-
-  // Staggered container reveals (e.g., skill grids, project cards)
-  document.querySelectorAll("[data-reveal-stagger]").forEach((el) => {
-    staggerObserver.observe(el);
-  });
-}
+import { register, mount } from "./registry.js";
+import * as scrollReveal from "./features/scroll-reveal.js";
+import * as smoothScroll from "./features/smooth-scroll.js";
+import * as activeNav from "./features/active-nav.js";
+import * as mobileNav from "./features/mobile-nav.js";
+import * as languageSwitcher from "./features/language-switcher.js";
+import * as themeSwitcher from "./features/theme-switcher.js";
+import * as trailEffects from "./features/trail-effects.js";
+import * as contactForm from "./features/contact-form.js";
+import * as projectCatalog from "./features/project-catalog.js";
+import * as lightbox from "./features/lightbox.js";
+import * as projectFilters from "./features/project-filters.js";
+import * as projectSorting from "./features/project-sorting.js";
+import * as projectDeepLinks from "./features/project-deep-links.js";
+import * as servicesAccordion from "./features/services-accordion.js";
+import * as quoteBasket from "./features/quote-basket.js";
 
-// ==========================================================================
-// 3. SMOOTH SCROLL FOR ANCHOR LINKS
-// ==========================================================================
-function initSmoothScroll() {
-  document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
-    anchor.addEventListener("click", (e) => {
-      const targetId = anchor.getAttribute("href");
-      if (targetId === "#") return;
-
-      const target = document.querySelector(targetId);
-      if (target) {
-        e.preventDefault();
-
-        // Calculate scroll position accounting for fixed nav
-        const navHeight = document.querySelector(".nav")?.offsetHeight || 0;
-        const targetPosition =
-          target.getBoundingClientRect().top + window.scrollY - navHeight;
-
-        // Smooth scroll to target
-        window.scrollTo({
-          top: targetPosition,
-          behavior: "smooth",
-        });
-
-        // Update URL without reload
-        history.pushState(null, "", targetId);
-      }
-    });
-  });
-}
+export { mount, unmount } from "./registry.js";
 
 // ==========================================================================
-// 4. ACTIVE NAVIGATION STATE
+// SITE CONFIGURATION
 // ==========================================================================
 
 /**
- * Highlight active navigation link based on scroll position
- * Uses IntersectionObserver with middle viewport detection
+ * Defaults for the whole site. A page embedding the portfolio (or a local
+ * test page) can override any of them by defining window.PORTFOLIO_CONFIG
+ * before main.js runs, e.g. to send the contact form to a stub server:
+ *   window.PORTFOLIO_CONFIG = { contactEndpoint: "http://localhost:8787/" };
  */
-function initActiveNav() {
-  const sections = document.querySelectorAll("section[id]");
-  const navLinks = document.querySelectorAll(".nav-links a");
-
-  const observerOptions = {
-    root: null,
-    rootMargin: "-50% 0px -50% 0px",
-    threshold: 0,
-  };
-  const navObserver = new IntersectionObserver((entries) => {
-    entries.forEach((entry) => {
-      if (entry.isIntersecting) {
-        const id = entry.target.getAttribute("id");
-
-        // Update all nav links: add .active to matching, remove from others
-        navLinks.forEach((link) => {
-          if (link.getAttribute("href") === `#${id}`) {
-            link.classList.add("active");
-            link.setAttribute("aria-current", "true");
-          } else {
-            link.classList.remove("active");
-            link.removeAttribute("aria-current");
-          }
-        });
-      }
-    });
-  }, observerOptions);
-
-  // Observe all sections with IDs
-  sections.forEach((section) => navObserver.observe(section));
-}
-
-// ==========================================================================
-// 5. MOBILE NAVIGATION (hamburger menu)
-// ==========================================================================
-
-/**
- * Toggle the mobile nav-links panel via the hamburger button.
- * Closes automatically when a link is clicked or Escape is pressed.
- */
-function initMobileNav() {
-  const toggle = document.getElementById("navToggle");
-  const links = document.getElementById("navLinks");
-  if (!toggle || !links) return;
-
-  function closeMenu() {
-    toggle.setAttribute("aria-expanded", "false");
-    links.classList.remove("open");
-  }
-
-  toggle.addEventListener("click", () => {
-    const isOpen = toggle.getAttribute("aria-expanded") === "true";
-    toggle.setAttribute("aria-expanded", String(!isOpen));
-    links.classList.toggle("open", !isOpen);
-  });
-
-  links.querySelectorAll("a").forEach((link) => {
-    link.addEventListener("click", closeMenu);
-  });
-
-  window.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") closeMenu();
-  });
-}
-
-// ==========================================================================
-// 6. CARD LIGHTBOX MODAL
-// ==========================================================================
-
-/**
- * Lightbox modal for viewing card images
- * Opens on click, closes on overlay click or Escape key
- */
-function initCardLightbox() {
-  let modal = document.createElement("div");
-  modal.className = "lightbox-modal hidden";
-  modal.setAttribute("tabindex", "-1");
-  modal.innerHTML =
-    '<img alt="" /><div class="lightbox-caption"><h3></h3><p></p></div>';
-  document.body.appendChild(modal);
-
-  const modalImg = modal.querySelector("img");
-  const caption = modal.querySelector(".lightbox-caption");
-  const captionTitle = caption.querySelector("h3");
-  const captionDesc = caption.querySelector("p");
-
-  // Touch devices have no real hover state, so the flip can't be driven by
-  // CSS :hover — it would flip and immediately un-flip before the back
-  // face could be read. On those devices a tap flips the card AND opens
-  // the lightbox together, with the card-back text sliding in as a
-  // caption under the enlarged photo. Closing reverses both at once.
-  // Mouse/trackpad devices (desktop) are untouched: hover still previews
-  // the flip and click still opens a plain, caption-less lightbox exactly
-  // like before.
-  const noHover = window.matchMedia("(hover: none)").matches;
-  if (!noHover) {
-    caption.style.display = "none";
-    // No caption to leave room for on desktop — keep the image exactly
-    // as large as it always was.
-    modalImg.style.maxHeight = "100%";
-  }
-  let activeCard = null;
-
-  function openLightbox(imgSrc, imgAlt, card) {
-    modalImg.src = imgSrc;
-    modalImg.alt = imgAlt || "";
-
-    if (noHover) {
-      const titleEl = card && card.querySelector(".card-back h3");
-      const descEl = card && card.querySelector(".card-back p");
-      captionTitle.textContent = titleEl ? titleEl.textContent.trim() : "";
-      captionDesc.textContent = descEl ? descEl.textContent.trim() : "";
-
-      caption.classList.remove("visible");
-      // Wait a frame so the transition (rather than the initial state) animates in.
-      requestAnimationFrame(() => {
-        requestAnimationFrame(() => caption.classList.add("visible"));
-      });
-    }
-
-    modal.classList.remove("hidden");
-    modal.focus();
-  }
-
-  function closeLightbox() {
-    caption.classList.remove("visible");
-    modal.classList.add("hidden");
-    modalImg.src = "";
-    if (activeCard) {
-      activeCard.classList.remove("flipped");
-      activeCard = null;
-    }
-  }
-
-  modal.addEventListener("click", (e) => {
-    if (e.target === modal) closeLightbox();
-  });
-
-  window.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") closeLightbox();
-  });
-
-  // Attach click handlers to cards
-  document.querySelectorAll(".card").forEach((card) => {
-    const img = card.querySelector(".card-front img");
-    if (!img) return;
-    card.addEventListener("click", (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-
-      if (noHover) {
-        card.classList.add("flipped");
-        activeCard = card;
-      }
-
-      openLightbox(img.dataset.full || img.src, img.alt, card);
-    });
-
-    card.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault();
-        openLightbox(img.dataset.full || img.src, img.alt, card);
-      }
-    });
-
-    card.style.cursor = "zoom-in";
-  });
-}
+const siteConfig = Object.assign(
+  {
+    // Mount every feature on the document as soon as main.js loads
+    autoMount: true,
+    // Where the contact form is sent; null uses the form's own action
+    contactEndpoint: null,
+    // Pointer effect drawn on #trailCanvas: "ribbon", "sparkle", "ink"
+    // (see trail-effects.js), or null for none
+    trailEffect: "ribbon",
+    // Services accordion: "single" keeps one category open at a time,
+    // "multiple" lets visitors open as many as they like
+    servicesAccordion: "single",
+    // Register sw.js, which keeps the site working offline
+    serviceWorker: true,
+  },
+  window.PORTFOLIO_CONFIG
+);
 
 // ==========================================================================
-// 7. PROJECT FILTERING
-// ==========================================================================
-function initProjectFilters() {
-  const filterBar = document.querySelector(".projects-filters");
-  if (!filterBar) return;
-
-  const buttons = Array.from(filterBar.querySelectorAll(".filter-btn"));
-  const cards = Array.from(document.querySelectorAll(".project-card"));
-
-  function setActiveButton(activeBtn) {
-    buttons.forEach((btn) => {
-      const isActive = btn === activeBtn;
-      btn.setAttribute("aria-pressed", isActive ? "true" : "false");
-    });
-  }
-
-  function applyFilter(filter) {
-    cards.forEach((card) => {
-      const category = (card.dataset.category || "all").toLowerCase();
-      const target = (filter || "all").toLowerCase();
-      const shouldShow = target === "all" || category === target;
-      card.style.display = shouldShow ? "" : "none";
-    });
-  }
-
-  // Click and keyboard handlers
-  buttons.forEach((btn, index) => {
-    btn.addEventListener("click", () => {
-      const filter = btn.dataset.filter || "all";
-      setActiveButton(btn);
-      applyFilter(filter);
-    });
-
-    btn.addEventListener("keydown", (e) => {
-      if (e.key === "ArrowRight") {
-        e.preventDefault();
-        const next = buttons[(index + 1) % buttons.length];
-        next.focus();
-      } else if (e.key === "ArrowLeft") {
-        e.preventDefault();
-        const prev = buttons[(index - 1 + buttons.length) % buttons.length];
-        prev.focus();
-      } else if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault();
-        btn.click();
-      }
-    });
-  });
+// FEATURES
+// ==========================================================================
+
+// Mounted in this order. The catalog renders the project cards, so the
+// features that bind to them come after it.
+register("scrollReveal", scrollReveal);
+register("smoothScroll", smoothScroll);
+register("activeNav", activeNav);
+register("mobileNav", mobileNav);
+register("languageSwitcher", languageSwitcher);
+register("themeSwitcher", themeSwitcher);
+register("trailEffects", trailEffects, { effect: siteConfig.trailEffect });
+register("contactForm", contactForm, { endpoint: siteConfig.contactEndpoint });
+register("projectCatalog", projectCatalog);
+register("lightbox", lightbox);
+register("projectFilters", projectFilters);
+register("projectSorting", projectSorting);
+register("projectDeepLinks", projectDeepLinks);
+register("servicesAccordion", servicesAccordion, {
+  mode: siteConfig.servicesAccordion,
+});
+register("quoteBasket", quoteBasket);
 
-  // Initialize to the default active button (aria-pressed="true") or first
-  const defaultBtn =
-    buttons.find((b) => b.getAttribute("aria-pressed") === "true") ||
-    buttons[0];
-  if (defaultBtn) {
-    setActiveButton(defaultBtn);
-    applyFilter(defaultBtn.dataset.filter || "all");
-  }
+if (siteConfig.autoMount) {
+  mount(document).then(() => console.log("Portfolio initialized"));
 }
 
 // ==========================================================================
-// 8. SERVICES ACCORDION
+// OFFLINE SUPPORT
 // ==========================================================================
 
-/**
- * Touch devices (no real hover state) toggle each category open/closed
- * on tap, via the .open class. Hover-capable devices (desktop) expand
- * and collapse purely on :hover/:focus-within in CSS — no click
- * needed — so here we only keep aria-expanded in sync for them.
- */
-function initServicesAccordion() {
-  const noHover = window.matchMedia("(hover: none)").matches;
-
-  document.querySelectorAll(".accordion-item").forEach((item) => {
-    const header = item.querySelector(".accordion-header");
-    if (!header) return;
-
-    if (noHover) {
-      header.addEventListener("click", () => {
-        const isOpen = item.classList.toggle("open");
-        header.setAttribute("aria-expanded", String(isOpen));
-      });
-    } else {
-      item.addEventListener("mouseenter", () =>
-        header.setAttribute("aria-expanded", "true")
+// sw.js sits at the site root so it can look after every page. It is
+// registered once the page has finished loading, so filling its caches
+// doesn't compete with the first visit for bandwidth.
+if (siteConfig.serviceWorker && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(new URL("../../sw.js", import.meta.url))
+      .catch((err) =>
+        console.error("Could not register the service worker:", err)
       );
-      item.addEventListener("mouseleave", () =>
-        header.setAttribute("aria-expanded", "false")
-      );
-    }
   });
 }
-
-// ==========================================================================
-// 9. INITIALIZATION
-// ==========================================================================
-
-/**
- * Initialize all functionality when DOM is ready
- */
-document.addEventListener("DOMContentLoaded", () => {
-  initScrollAnimations();
-  initSmoothScroll();
-  initActiveNav();
-  initMobileNav();
-  initCardLightbox();
-  initProjectFilters();
-  initServicesAccordion();
-
-  console.log("Portfolio initialized");
-});
-
-// ==========================================================================
-// 10. CLEANUP (FOR SPA ENVIRONMENTS)
-// ==========================================================================
-
-/**
- * Cleanup observers for SPA environments
- */
-window.cleanupScrollObservers = () => {
-  singleObserver.disconnect();
-  staggerObserver.disconnect();
-};
-
-// ==========================================================================
-// 11. MOUSE TRAIL EFFECT
-// ==========================================================================
-
-const canvas = document.getElementById("trailCanvas");
-const ctx = canvas.getContext("2d");
-
-function resize() {
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
-}
-resize();
-window.addEventListener("resize", resize);
-
-let points = [];
-const maxTrail = 30;
-let lastMove = performance.now();
-const trailIdleTimeout = 100; // ms of inactivity before starting fade
-const trailFadeDuration = 250; // ms duration of fade to fully vanish
-
-window.addEventListener("mousemove", (e) => {
-  lastMove = performance.now();
-  points.push({ x: e.clientX, y: e.clientY });
-
-  if (points.length > maxTrail) {
-    points.shift();
-  }
-});
-
-function draw() {
-  requestAnimationFrame(draw);
-
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-  if (points.length < 2) return;
-
-  const now = performance.now();
-  const idle = now - lastMove;
-
-  let fadeProgress = 0;
-  if (idle > trailIdleTimeout) {
-    fadeProgress = Math.min((idle - trailIdleTimeout) / trailFadeDuration, 1);
-  }
-
-  if (fadeProgress >= 1) {
-    points = [];
-    return;
-  }
-
-  ctx.lineWidth = 8;
-  ctx.lineCap = "round";
-
-  for (let i = 1; i < points.length; i++) {
-    const p1 = points[i - 1];
-    const p2 = points[i];
-
-    const baseAlpha = i / points.length;
-    const alpha = baseAlpha * (1 - fadeProgress);
-
-    ctx.strokeStyle = `rgba(255, 0, 0, ${alpha})`;
-
-    ctx.beginPath();
-    ctx.moveTo(p1.x, p1.y);
-    ctx.lineTo(p2.x, p2.y);
-    ctx.stroke();
-  }
-}
-
-draw();
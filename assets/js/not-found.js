@@ -0,0 +1,234 @@
+/**
+ * ==========================================================================
+ * 404 PAGE
+ * Translates 404.html and suggests where the visitor may have meant to go
+ * ==========================================================================
+ *
+ * The page is shown in the same language the portfolio would pick (the
+ * saved portfolioLang preference first; see negotiateLanguage() in
+ * i18n.js). The address that wasn't found is then compared with the
+ * portfolio's sections and projects, so /proyectos, /about-me or
+ * /projects/itomori get a link straight to the section, or to the project
+ * opened in the lightbox (#projects?item=<id>).
+ *
+ * 404.html resolves its URLs from the site root (a <base href> written by
+ * scripts/prerender.mjs), so this works however deep the missing address
+ * is. Without JavaScript the page stays as written, in English, with its
+ * single link home.
+ */
+
+import {
+  fallbackChain,
+  loadLocale,
+  loadRegistry,
+  negotiateLanguage,
+  setLanguage,
+  t,
+} from "./i18n.js";
+
+// The site root and the portfolio page, found from this module's URL
+const SITE_ROOT = new URL("../../", import.meta.url);
+const HOME_URL = new URL("index.html", SITE_ROOT);
+const CATALOG_URL = new URL("../data/projects.json", import.meta.url);
+
+// Sections worth suggesting, with the nav key that names them
+const SECTIONS = {
+  about: "nav.about",
+  projects: "nav.projects",
+  services: "nav.services",
+  contact: "nav.contact",
+};
+
+// How alike two words must be (0 to 1) to count as a match, and how many
+// suggestions to show at most
+const MIN_SIMILARITY = 0.6;
+const MAX_SUGGESTIONS = 3;
+
+// ==========================================================================
+// 1. FUZZY MATCHING
+// ==========================================================================
+
+/**
+ * Lowercase, without accents, with anything that isn't a letter or digit
+ * as a single "-": "Sobre mí" -> "sobre-mi"
+ */
+function slugify(text) {
+  return text
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Number of single-letter edits (insert, delete, replace) turning `a`
+ * into `b`
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = row;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 1 for the same word, falling towards 0 the more edits it takes. A word
+ * that contains the other (or is contained by it) scores high too, so
+ * "itomori-drawing" still finds "itomori".
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 0;
+  let score = 1 - editDistance(a, b) / longest;
+  if (Math.min(a.length, b.length) >= 4 && (a.includes(b) || b.includes(a))) {
+    score = Math.max(score, 0.85);
+  }
+  return score;
+}
+
+/**
+ * The words the visitor typed: the missing path below the site root,
+ * without file extensions, as whole segments and as single words
+ * ("/projects/kimi-no-na-wa.html" -> "projects", "kimi-no-na-wa",
+ * "kimi")
+ */
+function pathTerms() {
+  let path = location.pathname;
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // A malformed %-escape; match against the raw path instead
+  }
+  if (path.startsWith(SITE_ROOT.pathname)) {
+    path = path.slice(SITE_ROOT.pathname.length);
+  }
+  const terms = new Set();
+  path
+    .split("/")
+    .map((segment) => slugify(segment.replace(/\.[a-z0-9]+$/i, "")))
+    .filter(Boolean)
+    .forEach((segment) => {
+      terms.add(segment);
+      // One- and two-letter words match too much by chance
+      segment
+        .split("-")
+        .filter((word) => word.length > 2)
+        .forEach((word) => terms.add(word));
+    });
+  return [...terms];
+}
+
+/**
+ * The targets whose names look most like `terms`, best first. Each
+ * target has several names (its id and its title in every language);
+ * the best-matching pair counts.
+ */
+function bestMatches(terms, targets) {
+  return targets
+    .map((target) => {
+      let score = 0;
+      target.names.forEach((name) => {
+        terms.forEach((term) => {
+          score = Math.max(score, similarity(term, name));
+        });
+      });
+      return { ...target, score };
+    })
+    .filter((target) => target.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+// ==========================================================================
+// 2. SUGGESTIONS
+// ==========================================================================
+
+/**
+ * Everything worth linking to: the sections, named by their id and nav
+ * label in every language, and the projects, named by their id and
+ * title in every language
+ */
+async function loadTargets(lang) {
+  const registry = await loadRegistry();
+  const dictionaries = await Promise.all(
+    registry.locales.map(({ code }) => loadLocale(code))
+  );
+
+  const targets = Object.entries(SECTIONS).map(([id, key]) => ({
+    href: `#${id}`,
+    label: t(key),
+    names: [id, ...dictionaries.filter(Boolean).map((dict) => dict[key])]
+      .filter(Boolean)
+      .map(slugify),
+  }));
+
+  try {
+    const response = await fetch(CATALOG_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const projects = await response.json();
+    const chain = fallbackChain(lang);
+
+    projects.forEach((project) => {
+      const text = chain.map((code) => project.i18n[code]).find(Boolean);
+      targets.push({
+        href: `#projects?item=${encodeURIComponent(project.id)}`,
+        label: text ? text.title : project.id,
+        names: [
+          project.id,
+          ...Object.values(project.i18n).map((entry) => entry.title),
+        ].map(slugify),
+      });
+    });
+  } catch (err) {
+    // Sections can still be suggested without the catalog
+    console.error("Could not load the project catalog:", err);
+  }
+
+  return targets;
+}
+
+function renderSuggestions(matches) {
+  const container = document.querySelector(".error-suggestions");
+  if (!container || !matches.length) return;
+
+  container.querySelector("ul").replaceChildren(
+    ...matches.map(({ href, label }) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = new URL(href, HOME_URL).href;
+      link.textContent = label;
+      item.appendChild(link);
+      return item;
+    })
+  );
+  container.hidden = false;
+}
+
+async function initNotFound() {
+  await loadRegistry();
+  const lang = negotiateLanguage();
+  // Shown in the visitor's language, without saving it as their choice
+  await setLanguage(lang, {
+    updateUrl: false,
+    persist: false,
+    alternates: false,
+  });
+
+  const terms = pathTerms();
+  if (!terms.length) return;
+  renderSuggestions(bestMatches(terms, await loadTargets(lang)));
+}
+
+initNotFound().catch((err) =>
+  console.error("Could not set up the 404 page:", err)
+);
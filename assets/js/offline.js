@@ -0,0 +1,31 @@
+/**
+ * ==========================================================================
+ * OFFLINE PAGE
+ * Translates offline.html
+ * ==========================================================================
+ *
+ * sw.js shows offline.html in place of pages it hasn't cached. It's shown
+ * in the language the portfolio would pick (see negotiateLanguage() in
+ * i18n.js); the locale files it needs are cached along with the page.
+ */
+
+import { loadRegistry, negotiateLanguage, setLanguage } from "./i18n.js";
+
+async function initOffline() {
+  // "Try Again" reloads the address this page is standing in for
+  document
+    .querySelectorAll(".error-retry")
+    .forEach((link) => (link.href = location.href));
+
+  await loadRegistry();
+  // Shown in the visitor's language, without saving it as their choice
+  await setLanguage(negotiateLanguage(), {
+    updateUrl: false,
+    persist: false,
+    alternates: false,
+  });
+}
+
+initOffline().catch((err) =>
+  console.error("Could not translate the offline page:", err)
+);
@@ -0,0 +1,91 @@
+// ==========================================================================
+// FEATURE REGISTRY
+// ==========================================================================
+// Every feature of the site (scroll reveal, lightbox, filters, language
+// switcher, ...) is a module exporting the same two functions:
+//
+//   init(root, options)  wire the feature up inside `root` (an element or
+//                        the document); may return an API, or a promise
+//   destroy()            undo everything init() did
+//
+// main.js registers them in order, with their options, and mounts the lot
+// on the page. A page embedding the portfolio can mount it on its own
+// container and unmount it again without leaving listeners, observers,
+// animation frames or generated nodes behind.
+// ==========================================================================
+
+/**
+ * Turn a setup function into a feature's { init, destroy } pair.
+ *
+ * setup(root, options, signal) does the wiring. Everything it attaches
+ * is tied to `signal`: listeners get it as their `signal` option, and
+ * anything else (observers, timers, frames, created nodes) is undone in
+ * a listener for its "abort" event. destroy() aborts the signal, so a
+ * single call tears the whole feature down. Calling init() again first
+ * destroys the previous run.
+ */
+export function defineFeature(setup) {
+  let controller = null;
+
+  function destroy() {
+    if (controller) controller.abort();
+    controller = null;
+  }
+
+  function init(root = document, options = {}) {
+    destroy();
+    controller = new AbortController();
+    return setup(root, options, controller.signal);
+  }
+
+  return { init, destroy };
+}
+
+const features = []; // [{ name, feature, options }], in mount order
+const apis = new Map(); // name -> whatever the feature's init() returned
+let mountRun = 0;
+
+/**
+ * Add `feature` (an { init, destroy } module) to the ones mount() starts
+ */
+export function register(name, feature, options = {}) {
+  features.push({ name, feature, options });
+}
+
+/**
+ * Start every registered feature inside `root`, in registration order.
+ * Each one waits for the previous (the lightbox needs the cards the
+ * catalog renders), and one that fails doesn't stop the rest.
+ */
+export async function mount(root = document) {
+  unmount();
+  const run = mountRun;
+
+  for (const { name, feature, options } of features) {
+    try {
+      const api = await feature.init(root, options);
+      // unmount() was called while this feature was starting
+      if (run !== mountRun) return;
+      apis.set(name, api);
+    } catch (err) {
+      console.error(`Could not start "${name}":`, err);
+    }
+  }
+}
+
+/**
+ * Destroy every registered feature, last one first
+ */
+export function unmount() {
+  mountRun++;
+  [...features].reverse().forEach(({ feature }) => feature.destroy());
+  apis.clear();
+}
+
+/**
+ * The API a mounted feature's init() returned (e.g. the lightbox's
+ * openItem/close), or undefined
+ */
+export function get(name) {
+  return apis.get(name);
+}
@@ -0,0 +1,67 @@
+// ==========================================================================
+// SHARED HELPERS
+// ==========================================================================
+// Small DOM helpers used by more than one feature.
+// ==========================================================================
+
+/**
+ * Scroll so `target` sits just below the fixed nav
+ */
+export function scrollToTarget(target, behavior = "smooth") {
+  // Calculate scroll position accounting for fixed nav
+  const navHeight = document.querySelector(".nav")?.offsetHeight || 0;
+  const targetPosition =
+    target.getBoundingClientRect().top + window.scrollY - navHeight;
+
+  window.scrollTo({
+    top: targetPosition,
+    behavior,
+  });
+}
+
+/**
+ * FLIP: remember where `container`'s visible children are (First), run
+ * `change`, measure again (Last), then animate each child from its old
+ * spot to the new one (Invert, Play). Children that weren't shown
+ * before fade in. Skipped under reduced motion. Returns whatever
+ * `change` returns.
+ */
+export function animateReflow(container, change) {
+  const animate =
+    container &&
+    !window.matchMedia("(prefers-reduced-motion: reduce)").matches &&
+    typeof Element.prototype.animate === "function";
+  if (!animate) return change();
+
+  const before = new Map();
+  Array.from(container.children).forEach((el) => {
+    if (!el.hidden) before.set(el, el.getBoundingClientRect());
+  });
+
+  const result = change();
+
+  const timing = { duration: 400, easing: "cubic-bezier(0.22, 1, 0.36, 1)" };
+  Array.from(container.children).forEach((el) => {
+    if (el.hidden) return;
+    const first = before.get(el);
+    if (!first) {
+      el.animate(
+        [
+          { opacity: 0, transform: "scale(0.95)" },
+          { opacity: 1, transform: "none" },
+        ],
+        timing
+      );
+      return;
+    }
+    const last = el.getBoundingClientRect();
+    const dx = first.left - last.left;
+    const dy = first.top - last.top;
+    if (!dx && !dy) return;
+    el.animate(
+      [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: "none" }],
+      timing
+    );
+  });
+  return result;
+}
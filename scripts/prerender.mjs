@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+// ==========================================================================
+// STATIC LANGUAGE PAGES
+// ==========================================================================
+// Renders index.html once per non-default language into <code>/index.html
+// (es/index.html, ...), so crawlers and link previews get translated
+// markup without running any JavaScript.
+//
+// The strings come from the same assets/locales/*.json files, and the
+// formatting (fallback chain, {placeholders}, plurals, Html keys) is done
+// by the assets/js/i18n.js module itself, so a prerendered page reads
+// exactly like the client-side translation would.
+//
+// It also writes the <link rel="alternate" hreflang> block into index.html
+// and every generated page; features/language-switcher.js uses those links
+// to turn the language options into links between the pages.
+//
+// The project grid is written out too, from assets/data/projects.json with
+// the card markup from assets/js/catalog.js, so the projects are there
+// without JavaScript; project-catalog.js keeps those cards.
+//
+// 404.html and offline.html are shown in place of whatever address was
+// asked for, however deep, so they get a <base href> with the site's path
+// for their relative URLs (styles, scripts, the link home) to work.
+//
+// Usage (no dependencies, Node 18+):
+//   node scripts/prerender.mjs [--site-url https://example.com/portfolio/]
+//
+// Re-run it after editing index.html, a locale file or the catalog, and
+// commit the generated pages along with the change.
+// ==========================================================================
+
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const ROOT = new URL("../", import.meta.url);
+const SOURCE = new URL("index.html", ROOT);
+const STANDALONE_PAGES = ["404.html", "offline.html"];
+const I18N_SCRIPT = new URL("assets/js/i18n.js", ROOT);
+const CATALOG_SCRIPT = new URL("assets/js/catalog.js", ROOT);
+const CATALOG = new URL("assets/data/projects.json", ROOT);
+const LOCALES = new URL("assets/locales/", ROOT);
+
+const DEFAULT_SITE_URL = "https://margarre.github.io/CreativePortfolio-Template/";
+
+const ALTERNATES_START = "<!-- i18n:alternates -->";
+const ALTERNATES_END = "<!-- /i18n:alternates -->";
+const ALTERNATES_BLOCK = /([ \t]*)<!-- i18n:alternates -->[\s\S]*?<!-- \/i18n:alternates -->/;
+
+const CARDS_START = "<!-- catalog:cards -->";
+const CARDS_END = "<!-- /catalog:cards -->";
+const CARDS_BLOCK = /([ \t]*)<!-- catalog:cards -->[\s\S]*?<!-- \/catalog:cards -->/;
+
+function siteUrlFromArgs(argv) {
+  const index = argv.indexOf("--site-url");
+  const url = index === -1 ? DEFAULT_SITE_URL : argv[index + 1];
+  if (!url) throw new Error("--site-url needs a value");
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+async function readJson(url) {
+  return JSON.parse(await readFile(url, "utf8"));
+}
+
+const moduleUrls = new Map(); // file URL -> data: URL to import it from
+
+/**
+ * A URL Node can import the browser module at `file` from.
+ *
+ * Without a package.json Node won't read a .js file as an ES module, so
+ * it's imported from its source as a data: URL instead, with
+ * import.meta.url pointing back at the real file. A data: URL can't
+ * resolve relative imports, so the modules it imports are turned into
+ * data: URLs the same way. Each file gets one URL, so a module imported
+ * twice (i18n.js) is still a single instance.
+ */
+async function moduleUrl(file) {
+  if (!moduleUrls.has(file.href)) {
+    let source = (await readFile(file, "utf8")).replaceAll(
+      "import.meta.url",
+      JSON.stringify(file.href)
+    );
+    for (const [, specifier] of source.matchAll(/from "(\.{1,2}\/[^"]+)"/g)) {
+      const url = await moduleUrl(new URL(specifier, file));
+      source = source.replaceAll(`from "${specifier}"`, `from "${url}"`);
+    }
+    moduleUrls.set(file.href, `data:text/javascript,${encodeURIComponent(source)}`);
+  }
+  return moduleUrls.get(file.href);
+}
+
+/**
+ * Import the i18n.js module with every locale loaded, and hand back its
+ * lookup/formatting functions.
+ *
+ * The module loads the locales with fetch(), which can't read file: URLs,
+ * so they're served from disk here.
+ */
+async function loadI18n(registry) {
+  const serveFile = async (url) => {
+    const body = await readFile(new URL(url), "utf8");
+    return { ok: true, status: 200, json: async () => JSON.parse(body) };
+  };
+  const networkFetch = globalThis.fetch;
+  globalThis.fetch = (url, ...rest) =>
+    new URL(url).protocol === "file:" ? serveFile(url) : networkFetch(url, ...rest);
+
+  const i18n = await import(await moduleUrl(I18N_SCRIPT));
+
+  await i18n.loadRegistry();
+  await Promise.all(registry.locales.map(({ code }) => i18n.loadLocale(code)));
+  return i18n;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// data-i18n-args is usually single-quoted, since its JSON has double quotes
+function getAttr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\s${name}=(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeEntities(match[1] ?? match[2]) : null;
+}
+
+/**
+ * `attrs` with `name` set to `value`, replacing any existing value
+ */
+function setAttr(attrs, name, value, escapeHtml) {
+  const pattern = new RegExp(`(\\s${name}=")[^"]*(")`);
+  const escaped = escapeHtml(value);
+  if (pattern.test(attrs)) return attrs.replace(pattern, `$1${escaped}$2`);
+  return `${attrs} ${name}="${escaped}"`;
+}
+
+function readArgs(attrs, where) {
+  const raw = getAttr(attrs, "data-i18n-args");
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn(`[prerender] Invalid data-i18n-args on ${where}:`, err.message);
+    return {};
+  }
+}
+
+/**
+ * Apply the data-i18n* rules from applyTranslations() to an HTML string.
+ * index.html never nests a data-i18n element inside another of the same
+ * tag, so the first closing tag is always the matching one.
+ */
+function translateMarkup(html, i18n, chain) {
+  const translate = (key, args) => i18n.translate(key, args, chain);
+
+  html = html.replace(
+    /<([a-z][\w-]*)((?:\s[^>]*?)?\sdata-i18n="([^"]+)"[^>]*)>([\s\S]*?)<\/\1>/g,
+    (element, tag, attrs, key, content) => {
+      const text = translate(key, readArgs(attrs, `<${tag} data-i18n="${key}">`));
+      if (text === undefined) return element;
+      const body = i18n.isHtmlKey(key) ? text : i18n.escapeHtml(text);
+      return `<${tag}${attrs}>${body}</${tag}>`;
+    }
+  );
+
+  return html.replace(
+    /<([a-z][\w-]*)((?:\s[^>]*?)?\sdata-i18n-(?:placeholder|aria|alt)="[^"]+"[^>]*?)(\s*\/?)>/g,
+    (element, tag, attrs, end) => {
+      const args = readArgs(attrs, `<${tag}>`);
+      for (const [source, target] of [
+        ["data-i18n-placeholder", "placeholder"],
+        ["data-i18n-aria", "aria-label"],
+        ["data-i18n-alt", "alt"],
+      ]) {
+        const key = getAttr(attrs, source);
+        if (!key) continue;
+        const text = translate(key, args);
+        if (text !== undefined) attrs = setAttr(attrs, target, text, i18n.escapeHtml);
+      }
+      return `<${tag}${attrs}${end}>`;
+    }
+  );
+}
+
+/**
+ * The page's <html lang>, <title> and description/preview meta tags
+ */
+function translateHead(html, i18n, chain, code) {
+  const title = i18n.escapeHtml(i18n.translate("meta.title", {}, chain));
+  const description = i18n.escapeHtml(i18n.translate("meta.description", {}, chain));
+
+  return html
+    .replace(/<html lang="[^"]*"[^>]*>/, `<html lang="${code}" data-i18n-page="${code}">`)
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${title}</title>`)
+    .replace(
+      /(<meta\s+(?:name|property)="(?:og:|twitter:)?title"\s+content=")[^"]*(")/g,
+      `$1${title}$2`
+    )
+    .replace(
+      /(<meta\s+(?:name|property)="(?:og:|twitter:)?description"\s+content=")[^"]*(")/g,
+      `$1${description}$2`
+    );
+}
+
+function pageUrl(siteUrl, code, registry) {
+  return code === registry.default ? siteUrl : `${siteUrl}${code}/`;
+}
+
+function alternateLinks(siteUrl, registry, indent) {
+  const links = registry.locales.map(
+    ({ code }) =>
+      `<link rel="alternate" hreflang="${code}" href="${pageUrl(siteUrl, code, registry)}" />`
+  );
+  links.push(`<link rel="alternate" hreflang="x-default" href="${siteUrl}" />`);
+  return [ALTERNATES_START, ...links, ALTERNATES_END]
+    .map((line) => indent + line)
+    .join("\n");
+}
+
+/**
+ * Replace the alternates block, or add one just before </head>
+ */
+function withAlternates(html, siteUrl, registry) {
+  if (ALTERNATES_BLOCK.test(html)) {
+    return html.replace(ALTERNATES_BLOCK, (block, indent) =>
+      alternateLinks(siteUrl, registry, indent)
+    );
+  }
+  return html.replace(/\n(\s*)<\/head>/, (closing, indent) =>
+    `\n${alternateLinks(siteUrl, registry, `${indent}  `)}${closing}`
+  );
+}
+
+/**
+ * Replace the page's <base href>, or add one right after <meta charset>
+ * (before anything that loads a URL). Only the path is used, so the page
+ * works on any host that serves the site at that path.
+ */
+function withBase(html, siteUrl) {
+  const base = `<base href="${new URL(siteUrl).pathname}" />`;
+  if (/<base\s[^>]*>/.test(html)) return html.replace(/<base\s[^>]*>/, base);
+  return html.replace(
+    /\n(\s*)(<meta charset="[^"]*"\s*\/?>)/i,
+    (meta, indent, tag) => `\n${indent}${tag}\n${indent}${base}`
+  );
+}
+
+/**
+ * Replace the project cards between the catalog:cards markers with one
+ * card per catalog entry, in the default language. The es/ page and
+ * others then translate them like the rest of the markup. Their strings
+ * are registered with i18n.js here, as project-catalog.js does in the
+ * browser.
+ */
+async function withCards(html, i18n, registry) {
+  if (!CARDS_BLOCK.test(html)) {
+    console.warn(`[prerender] No ${CARDS_START} block in index.html`);
+    return html;
+  }
+  const catalog = await import(await moduleUrl(CATALOG_SCRIPT));
+  const projects = await readJson(CATALOG);
+  Object.entries(catalog.projectTranslations(projects)).forEach(
+    ([lang, entries]) => i18n.addTranslations(lang, entries)
+  );
+
+  const cards = translateMarkup(
+    projects.map(catalog.projectCardHtml).join("\n"),
+    i18n,
+    i18n.fallbackChain(registry.default)
+  );
+  return html.replace(CARDS_BLOCK, (block, indent) =>
+    [CARDS_START, ...cards.split("\n"), CARDS_END]
+      .map((line) => indent + line)
+      .join("\n")
+  );
+}
+
+async function main() {
+  const siteUrl = siteUrlFromArgs(process.argv.slice(2));
+  const registry = await readJson(new URL("index.json", LOCALES));
+  const i18n = await loadI18n(registry);
+
+  const source = await withCards(
+    withAlternates(await readFile(SOURCE, "utf8"), siteUrl, registry),
+    i18n,
+    registry
+  );
+  await writeFile(SOURCE, source);
+
+  for (const { code } of registry.locales) {
+    if (code === registry.default) continue;
+
+    const chain = i18n.fallbackChain(code);
+    let html = translateHead(source, i18n, chain, code);
+    html = translateMarkup(html, i18n, chain);
+    html = html
+      .replace(/(=")\.\/assets\//g, "$1../assets/")
+      .replace(
+        /<!DOCTYPE html>\n/i,
+        (doctype) =>
+          `${doctype}<!-- Generated by scripts/prerender.mjs from index.html. Edit the source, not this file. -->\n`
+      );
+
+    const outDir = new URL(`${code}/`, ROOT);
+    await mkdir(outDir, { recursive: true });
+    await writeFile(new URL("index.html", outDir), html);
+    console.log(`Wrote ${fileURLToPath(new URL("index.html", outDir))}`);
+  }
+
+  for (const name of STANDALONE_PAGES) {
+    const file = new URL(name, ROOT);
+    await writeFile(file, withBase(await readFile(file, "utf8"), siteUrl));
+    console.log(`Wrote ${fileURLToPath(file)}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
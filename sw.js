@@ -0,0 +1,239 @@
+/**
+ * ==========================================================================
+ * SERVICE WORKER
+ * Keeps the portfolio working on a bad or missing connection
+ * ==========================================================================
+ *
+ * Registered by main.js. Lives at the site root so it can answer for
+ * every page, and runs as a classic script (not a module) so it works in
+ * every browser that has service workers.
+ *
+ * - The shell (pages, CSS, JavaScript modules, translations, catalog) is
+ *   cached on install. Those requests still go to the network first, so
+ *   visitors get updates, and fall back to the cache when the network
+ *   fails or takes longer than NETWORK_TIMEOUT.
+ * - ImageKit images (thumbnails, lightbox images) and Google Fonts are
+ *   cached as they are viewed and served from the cache afterwards. Each
+ *   cache keeps only its newest entries (see RUNTIME_LIMITS). The pages
+ *   request both with CORS (crossorigin="anonymous"), so a failed
+ *   response can be told apart and isn't kept.
+ * - A page that isn't cached, opened offline, gets offline.html instead.
+ *
+ * POST requests (the contact form) aren't touched: contact-form.js
+ * queues the ones made offline itself.
+ *
+ * Bump CACHE_VERSION whenever PRECACHE_URLS changes (e.g. a new feature
+ * module), so the old caches are replaced rather than topped up.
+ */
+
+const CACHE_VERSION = "v4";
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `portfolio-images-${CACHE_VERSION}`;
+const FONT_CACHE = `portfolio-fonts-${CACHE_VERSION}`;
+
+// Relative to this file, i.e. to the site root
+const OFFLINE_URL = "./offline.html";
+const PRECACHE_URLS = [
+  "./",
+  "./index.html",
+  "./es/",
+  "./es/index.html",
+  "./404.html",
+  OFFLINE_URL,
+  "./assets/css/index.css",
+  "./assets/css/reset.css",
+  "./assets/css/theme.css",
+  "./assets/css/base.css",
+  "./assets/css/navigation.css",
+  "./assets/css/layout.css",
+  "./assets/css/components.css",
+  "./assets/css/error-page.css",
+  // main.js imports every module below; one missing one and none run
+  "./assets/js/main.js",
+  "./assets/js/registry.js",
+  "./assets/js/i18n.js",
+  "./assets/js/utils.js",
+  "./assets/js/imagekit.js",
+  "./assets/js/catalog.js",
+  "./assets/js/offline.js",
+  "./assets/js/not-found.js",
+  "./assets/js/features/scroll-reveal.js",
+  "./assets/js/features/smooth-scroll.js",
+  "./assets/js/features/active-nav.js",
+  "./assets/js/features/mobile-nav.js",
+  "./assets/js/features/language-switcher.js",
+  "./assets/js/features/theme-switcher.js",
+  "./assets/js/features/trail-effects.js",
+  "./assets/js/features/contact-form.js",
+  "./assets/js/features/project-catalog.js",
+  "./assets/js/features/lightbox.js",
+  "./assets/js/features/project-filters.js",
+  "./assets/js/features/project-sorting.js",
+  "./assets/js/features/project-deep-links.js",
+  "./assets/js/features/services-accordion.js",
+  "./assets/js/features/quote-basket.js",
+  "./assets/locales/index.json",
+  "./assets/locales/en.json",
+  "./assets/locales/es.json",
+  "./assets/data/projects.json",
+];
+
+// How many responses each runtime cache keeps; the oldest go first
+const RUNTIME_LIMITS = {
+  [IMAGE_CACHE]: 120,
+  [FONT_CACHE]: 30,
+};
+
+// ms to wait for the network before answering from the cache
+const NETWORK_TIMEOUT = 4000;
+
+// ==========================================================================
+// 1. INSTALL AND ACTIVATE
+// ==========================================================================
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of older versions and start handling open pages now
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, IMAGE_CACHE, FONT_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith("portfolio-"))
+            .filter((name) => !current.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// ==========================================================================
+// 2. CACHING STRATEGIES
+// ==========================================================================
+
+/**
+ * Delete the oldest entries of `cacheName` past its RUNTIME_LIMITS size
+ * (cache keys come back in the order they were added)
+ */
+async function trimCache(cacheName) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const excess = keys.length - RUNTIME_LIMITS[cacheName];
+  if (excess <= 0) return;
+  await Promise.all(keys.slice(0, excess).map((key) => cache.delete(key)));
+}
+
+// The shell's files as absolute URLs, to tell them from other requests
+const SHELL_URLS = new Set(
+  PRECACHE_URLS.map((url) => new URL(url, self.location).href)
+);
+
+/**
+ * `request`'s URL without its query string: the shell is cached once per
+ * file, not once per ?lang= or ?message= variant
+ */
+function shellKey(request) {
+  const url = new URL(request.url);
+  url.search = "";
+  url.hash = "";
+  return url.href;
+}
+
+/**
+ * The cached response for `request`, or undefined. Pages are matched
+ * without their query string, so index.html?lang=es still finds
+ * index.html.
+ */
+function fromCache(request) {
+  return caches.match(request, { ignoreSearch: request.mode === "navigate" });
+}
+
+/**
+ * Network first: a fresh response for one of the shell's files updates
+ * its cached copy. If the network fails, or is still busy after
+ * NETWORK_TIMEOUT and a cached copy exists, the cached copy answers
+ * instead. Anything else is only passed through, never cached.
+ */
+function networkFirst(request) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(async () => {
+      const cached = await fromCache(request);
+      if (cached) resolve(cached);
+    }, NETWORK_TIMEOUT);
+
+    fetch(request).then(
+      (response) => {
+        clearTimeout(timer);
+        const key = shellKey(request);
+        if (response.ok && SHELL_URLS.has(key)) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then((cache) => cache.put(key, copy));
+        }
+        resolve(response);
+      },
+      async (err) => {
+        clearTimeout(timer);
+        const cached = await fromCache(request);
+        if (cached) resolve(cached);
+        else reject(err);
+      }
+    );
+  });
+}
+
+/**
+ * Cache first, for files that don't change once published: the network
+ * is only asked for what isn't cached yet, and its answer is kept.
+ */
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // A request made without CORS comes back "opaque": its status can't be
+  // read, so it could be an error, and browsers count it as several MB
+  // of storage. Only responses known to be good are kept.
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+    trimCache(cacheName);
+  }
+  return response;
+}
+
+// ==========================================================================
+// 3. ROUTING
+// ==========================================================================
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.hostname.endsWith("imagekit.io")) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  } else if (
+    url.hostname === "fonts.googleapis.com" ||
+    url.hostname === "fonts.gstatic.com"
+  ) {
+    event.respondWith(cacheFirst(request, FONT_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(
+      networkFirst(request).catch((err) => {
+        if (request.mode === "navigate") return caches.match(OFFLINE_URL);
+        throw err;
+      })
+    );
+  }
+});